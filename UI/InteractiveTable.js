@@ -1,6 +1,8 @@
 
 const Styling = require('./Styling');
 const readline = require('readline');
+const Renderer = require('./Renderer');
+const { PromptCancelledError } = require('../errors');
 
 /**
  * InteractiveTable
@@ -8,10 +10,15 @@ const readline = require('readline');
  * Render and optionally interact with tabular data in the terminal. Supports
  * sorting, filtering, pagination, and single/multi selection. Used via
  * the UI/table compatibility wrapper.
+ *
+ * Input/output default to process.stdin/process.stdout; pass `stdin`,
+ * `stdout` (and optionally `terminalWidth`) to render elsewhere.
  */
 class InteractiveTable {
 	constructor(options = {}) {
         this.styling = new Styling();
+        this.stdin = options.stdin || process.stdin;
+        this.stdout = options.stdout || process.stdout;
         this.theme = options.theme || 'default';
         this.styling.setTheme(this.theme);
 
@@ -91,29 +98,44 @@ class InteractiveTable {
    	/**
    	 * Enable interactive selection; resolves with chosen row index/value via
    	 * consumer logic that reads selected rows when the user confirms.
+   	 * @param {object} [options]
+   	 * @param {AbortSignal} [options.signal] - Cancels the menu when aborted.
    	 * @returns {Promise<any>} Resolves when selection is made.
+   	 * @throws {PromptCancelledError} On Escape, Ctrl+C or abort.
    	 */
-   	async showTableMenu() {
-        return new Promise((resolve) => {
+   	async showTableMenu(options = {}) {
+        return new Promise((resolve, reject) => {
+            const signal = options.signal;
+            const cancel = (reason) => {
+                this.cleanup();
+                reject(new PromptCancelledError(this.title || 'table', reason));
+            };
+
+            if (signal && signal.aborted) {
+                return reject(new PromptCancelledError(this.title || 'table', 'abort'));
+            }
+
+            // Redraw the table in place on every move
             this.interactive = true;
+            this.screen = new Renderer(this.stdout, { columns: this.config.terminalWidth });
             this.render();
 
-            // Correct order for keypress event handling
-            readline.emitKeypressEvents(process.stdin);
-            if (process.stdin.isTTY) {
-                process.stdin.setRawMode(true);
-            }
-            process.stdin.on('keypress', this.handleKeyPress.bind(this, resolve));
+            // Listen on the stream directly; a terminal-mode readline would echo keys
+            readline.emitKeypressEvents(this.stdin);
+            this.setRawMode(true);
+            this.stdin.resume();
+            this.stdin.on('keypress', this.handleKeyPress.bind(this, resolve, cancel));
 
-            this.rl = readline.createInterface({
-                input: process.stdin,
-                output: process.stdout
-            });
+            if (signal) {
+                this.abortSignal = signal;
+                this.onAbort = () => cancel('abort');
+                signal.addEventListener('abort', this.onAbort, { once: true });
+            }
         });
     }
 
 
-    handleKeyPress(resolve, char, key) {
+    handleKeyPress(resolve, cancel, char, key) {
         // Adjust rowCount for visible rows currently
         let visibleRows = this.getProcessedRows();
         if (this.config.showPagination) {
@@ -138,21 +160,36 @@ class InteractiveTable {
                 resolve(this.selectedRow + (this.config.showPagination ? this.currentPage * this.config.pageSize : 0));
                 break;
             case 'escape':
+                cancel('escape');
+                break;
             case 'c':
                 if (key.ctrl) {
-                    this.cleanup();
-                    process.exit();
+                    cancel('interrupt');
                 }
                 break;
         }
     }
     cleanup() {
-        if (this.rl) this.rl.close();
-        if (process.stdin.isTTY) process.stdin.setRawMode(false);
-        process.stdin.removeAllListeners('keypress');
+        if (this.screen) {
+            this.screen.done();
+            this.screen = null;
+        }
+        this.setRawMode(false);
+        this.stdin.pause();
+        this.stdin.removeAllListeners('keypress');
+        if (this.abortSignal) {
+            this.abortSignal.removeEventListener('abort', this.onAbort);
+            this.abortSignal = null;
+        }
         this.interactive = false;
     }
 
+    setRawMode(enabled) {
+        if (this.stdin.isTTY && typeof this.stdin.setRawMode === 'function') {
+            this.stdin.setRawMode(enabled);
+        }
+    }
+
     // Fixed text wrapping implementation
     wrapText(text, width) {
         const words = text.split(' ');
@@ -160,7 +197,8 @@ class InteractiveTable {
         let currentLine = '';
 
         for (let word of words) {
-            if ((currentLine.length + word.length + 1) > width) {
+            // currentLine already ends with the space before this word
+            if ((currentLine.length + word.length) > width) {
                 if (currentLine.length === 0) {
                     lines.push(word.slice(0, width - 1) + '…');
                 } else {
@@ -183,10 +221,6 @@ class InteractiveTable {
         const theme = this.styling.getTheme();
         const config = { ...this.config, ...options };
 
-        if (this.interactive) {
-            console.clear();
-        }
-
         let output = '';
 
         // Title
@@ -234,11 +268,12 @@ class InteractiveTable {
             output += '\n' + this.renderSelectionInfo();
         }
 
-        if (this.interactive) {
-            console.log(this.styling.hex(theme.muted)('Use ↑/↓ to navigate, Enter to select'));
+        if (this.interactive && this.screen) {
+            this.screen.render([this.styling.hex(theme.muted)('Use ↑/↓ to navigate, Enter to select'), output]);
+            return this;
         }
 
-        console.log(output);
+        this.stdout.write(output + '\n');
         return this;
     }
     renderTable(rows, columnWidths, config) {
@@ -383,7 +418,7 @@ class InteractiveTable {
     }
 
     calculateColumnWidths(rows, config) {
-        const terminalWidth = process.stdout.columns || 80;
+        const terminalWidth = this.config.terminalWidth || this.stdout.columns || 80;
         const availableWidth = terminalWidth - (this.columns.length + 1); // Account for borders
 
         const widths = this.columns.map((column, index) => {
@@ -0,0 +1,216 @@
+/**
+ * Renderer
+ *
+ * In-place renderer for interactive prompts. Owns a block of lines at the
+ * bottom of the terminal and redraws only from the first line that changed,
+ * using cursor-up/erase sequences instead of clearing the screen, so earlier
+ * output and scrollback stay intact.
+ */
+const ESC = '\x1b[';
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[@-~]/g;
+
+// Symbols below U+3000 that terminals draw as emoji (Unicode Emoji_Presentation)
+const EMOJI_PRESENTATION = [
+    [0x231a, 0x231b], [0x23e9, 0x23ec], [0x23f0, 0x23f0], [0x23f3, 0x23f3], [0x25fd, 0x25fe],
+    [0x2614, 0x2615], [0x2648, 0x2653], [0x267f, 0x267f], [0x2693, 0x2693], [0x26a1, 0x26a1],
+    [0x26aa, 0x26ab], [0x26bd, 0x26be], [0x26c4, 0x26c5], [0x26ce, 0x26ce], [0x26d4, 0x26d4],
+    [0x26ea, 0x26ea], [0x26f2, 0x26f3], [0x26f5, 0x26f5], [0x26fa, 0x26fa], [0x26fd, 0x26fd],
+    [0x2705, 0x2705], [0x270a, 0x270b], [0x2728, 0x2728], [0x274c, 0x274c], [0x274e, 0x274e],
+    [0x2753, 0x2755], [0x2757, 0x2757], [0x2795, 0x2797], [0x27b0, 0x27b0], [0x27bf, 0x27bf],
+    [0x2b1b, 0x2b1c], [0x2b50, 0x2b50], [0x2b55, 0x2b55]
+];
+
+class Renderer {
+    /**
+     * @param {NodeJS.WritableStream} stream - Output stream to draw on.
+     * @param {object} [options]
+     * @param {number} [options.columns] - Terminal width; defaults to stream.columns || 80.
+     */
+    constructor(stream, options = {}) {
+        this.stream = stream;
+        this.options = options;
+
+        // Lines currently on screen, their physical height and the row
+        // (relative to the top of the block) the cursor is parked on
+        this.lines = [];
+        this.height = 0;
+        this.cursorRow = 0;
+        this.cursorHidden = false;
+    }
+
+    get columns() {
+        return this.options.columns || this.stream.columns || 80;
+    }
+
+    /**
+     * Visible width of a string, ignoring ANSI escapes and counting wide
+     * (CJK/emoji) characters as two columns.
+     * @param {string} text
+     * @returns {number}
+     */
+    static width(text) {
+        let width = 0;
+        for (const char of String(text).replace(ANSI_PATTERN, '')) {
+            const code = char.codePointAt(0);
+            if (code === 0x200d || (code >= 0xfe00 && code <= 0xfe0f) || (code >= 0x300 && code <= 0x36f)) {
+                continue;
+            }
+            width += Renderer.isWide(code) ? 2 : 1;
+        }
+        return width;
+    }
+
+    static isWide(code) {
+        return (code >= 0x1100 && code <= 0x115f) ||
+            (code >= 0x2e80 && code <= 0xa4cf) ||
+            (code >= 0xac00 && code <= 0xd7a3) ||
+            (code >= 0xf900 && code <= 0xfaff) ||
+            (code >= 0xfe30 && code <= 0xfe4f) ||
+            (code >= 0xff00 && code <= 0xff60) ||
+            (code >= 0xffe0 && code <= 0xffe6) ||
+            code === 0x1f004 ||
+            code === 0x1f0cf ||
+            code === 0x1f18e ||
+            (code >= 0x1f191 && code <= 0x1f19a) ||
+            (code >= 0x1f200 && code <= 0x1f265) ||
+            (code >= 0x1f300 && code <= 0x1faff) ||
+            (code >= 0x20000 && code <= 0x3fffd) ||
+            (code >= 0x231a && code <= 0x2b55 &&
+                EMOJI_PRESENTATION.some(([start, end]) => code >= start && code <= end));
+    }
+
+    /**
+     * Strip ANSI escape sequences from a string.
+     * @param {string} text
+     * @returns {string}
+     */
+    static strip(text) {
+        return String(text).replace(ANSI_PATTERN, '');
+    }
+
+    /**
+     * Number of terminal rows a line occupies once wrapped.
+     * @private
+     */
+    rowsFor(line) {
+        return Math.max(1, Math.ceil(Renderer.width(line) / this.columns));
+    }
+
+    /**
+     * Physical row (relative to the block top) where logical line `index` starts.
+     * @private
+     */
+    rowOf(lines, index) {
+        let row = 0;
+        for (let i = 0; i < index; i++) row += this.rowsFor(lines[i]);
+        return row;
+    }
+
+    /**
+     * Draw the block. Lines identical to the previous frame are left alone;
+     * everything from the first changed line down is erased and rewritten.
+     * @param {string[]|{lines:string[],cursor?:{line:number,column:number}}} frame
+     *   Lines to show, optionally with where to park the terminal cursor
+     *   (logical line index and visible column). Without a cursor it is hidden.
+     */
+    render(frame) {
+        const { lines: rawLines, cursor } = Array.isArray(frame) ? { lines: frame } : frame;
+        const lines = rawLines.join('\n').split('\n');
+        let output = '';
+
+        let start = 0;
+        while (start < lines.length && start < this.lines.length && lines[start] === this.lines[start]) {
+            start++;
+        }
+        if (start === lines.length && start < this.lines.length) {
+            // Lines were only removed: rewrite the new last line so the cursor ends on it
+            start = Math.max(0, lines.length - 1);
+        }
+
+        if (this.height === 0) {
+            // First frame: the block starts wherever the cursor is
+            output += lines.join('\n');
+        } else if (start < lines.length) {
+            output += this.moveRows(this.rowOf(this.lines, start) - this.cursorRow);
+            output += '\r' + ESC + 'J' + lines.slice(start).join('\n');
+        } else if (this.cursorRow !== this.height - 1 || cursor) {
+            // Park on the end of the last row again before positioning the cursor
+            output += this.moveRows(this.height - 1 - this.cursorRow);
+            output += ESC + (Renderer.width(lines[lines.length - 1]) % this.columns + 1) + 'G';
+        }
+
+        this.lines = lines;
+        this.height = this.rowOf(lines, lines.length);
+        this.cursorRow = this.height - 1;
+
+        if (cursor) {
+            const row = this.rowOf(lines, cursor.line) + Math.floor(cursor.column / this.columns);
+            output += this.moveRows(row - this.cursorRow);
+            output += ESC + (cursor.column % this.columns + 1) + 'G';
+            this.cursorRow = row;
+            if (this.cursorHidden) {
+                output += ESC + '?25h';
+                this.cursorHidden = false;
+            }
+        } else if (!this.cursorHidden) {
+            output = ESC + '?25l' + output;
+            this.cursorHidden = true;
+        }
+
+        this.stream.write(output);
+    }
+
+    /**
+     * Finish the block: optionally replace it with final lines (e.g. a
+     * one-line summary), then move below it and restore the cursor. The next
+     * render() starts a fresh block.
+     * @param {string[]} [lines] - Final content; keeps the current lines when omitted.
+     * @returns {number} Rows the finished block occupies.
+     */
+    done(lines) {
+        if (lines) {
+            this.render(lines);
+        }
+        const rows = this.height;
+        if (this.height > 0) {
+            this.stream.write(this.moveRows(this.height - 1 - this.cursorRow) + '\n');
+        }
+        if (this.cursorHidden) {
+            this.stream.write(ESC + '?25h');
+        }
+        this.reset();
+        return rows;
+    }
+
+    /**
+     * Erase the block entirely and leave the cursor where it started.
+     */
+    clear() {
+        if (this.height > 0) {
+            this.stream.write(this.moveRows(-this.cursorRow) + '\r' + ESC + 'J');
+        }
+        if (this.cursorHidden) {
+            this.stream.write(ESC + '?25h');
+        }
+        this.reset();
+    }
+
+    reset() {
+        this.lines = [];
+        this.height = 0;
+        this.cursorRow = 0;
+        this.cursorHidden = false;
+    }
+
+    /**
+     * Relative vertical cursor movement.
+     * @private
+     */
+    moveRows(delta) {
+        if (delta < 0) return ESC + (-delta) + 'A';
+        if (delta > 0) return ESC + delta + 'B';
+        return '';
+    }
+}
+
+module.exports = Renderer;
@@ -72,8 +72,15 @@ class Styling {
             question: '❓',
             checked: '☑️',
             unchecked: '☐',
+            partial: '⊟',
+            collapsed: '▸',
+            expanded: '▾',
             radio_selected: '●',
             radio_unselected: '○',
+            star: '★',
+            star_empty: '☆',
+            folder: '📁',
+            file: '📄',
             arrow_right: '→',
             arrow_left: '←',
             arrow_up: '↑',
@@ -6,8 +6,11 @@ const files = [
   'exports.js',
   'quizzer.js',
   'questioner.js',
+  'testing.js',
+  'errors.js',
   'UI/table.js',
   'UI/InteractiveTable.js',
+  'UI/Renderer.js',
   'UI/Styling.js',
   'UI/colours.js'
 ];
@@ -36,8 +39,11 @@ function main() {
   }
 
   // Create shims so internal relative requires (without .min.js) continue to work in dist
+  writeShim('dist/questioner.js', './questioner.min.js');
+  writeShim('dist/errors.js', './errors.min.js');
   writeShim('dist/UI/Styling.js', './Styling.min.js');
   writeShim('dist/UI/InteractiveTable.js', './InteractiveTable.min.js');
+  writeShim('dist/UI/Renderer.js', './Renderer.min.js');
   writeShim('dist/UI/table.js', './table.min.js');
   writeShim('dist/UI/colours.js', './colours.min.js');
 }
@@ -0,0 +1,80 @@
+/**
+ * Error types raised by Questioner prompts and interactive tables.
+ *
+ * Each error carries the `prompt` key (field name or message) it relates to so
+ * callers can report exactly which question failed.
+ */
+
+/**
+ * Raised in non-interactive mode when a prompt has neither a pre-supplied
+ * answer nor a default to fall back to.
+ */
+class MissingAnswerError extends Error {
+    /**
+     * @param {string} prompt - Name (or message) of the unanswered prompt.
+     */
+    constructor(prompt) {
+        super(`No answer provided for prompt "${prompt}"`);
+        this.name = 'MissingAnswerError';
+        this.prompt = prompt;
+    }
+}
+
+/**
+ * Raised in non-interactive mode when a pre-supplied answer fails the
+ * prompt's own validation (required, validate, choices, min/max...).
+ */
+class InvalidAnswerError extends Error {
+    /**
+     * @param {string} prompt - Name (or message) of the prompt.
+     * @param {string} reason - Validation message explaining the failure.
+     */
+    constructor(prompt, reason) {
+        super(`Invalid answer for prompt "${prompt}": ${reason}`);
+        this.name = 'InvalidAnswerError';
+        this.prompt = prompt;
+        this.reason = reason;
+    }
+}
+
+/**
+ * Raised when a prompt is dismissed with Escape or Ctrl+C, or its
+ * AbortSignal fires. Raw mode and readline are restored before rejecting.
+ * Inside form() a field is also cancelled with reason 'back' when the user
+ * asks to return to the previous field.
+ */
+class PromptCancelledError extends Error {
+    /**
+     * @param {string} prompt - Name (or message) of the cancelled prompt.
+     * @param {'escape'|'interrupt'|'abort'|'back'} reason - What cancelled it.
+     */
+    constructor(prompt, reason) {
+        super(`Prompt "${prompt}" was cancelled`);
+        this.name = 'PromptCancelledError';
+        this.prompt = prompt;
+        this.reason = reason;
+    }
+}
+
+/**
+ * Raised when a prompt's `timeout` expires and it has no default to resolve with.
+ */
+class PromptTimeoutError extends Error {
+    /**
+     * @param {string} prompt - Name (or message) of the prompt.
+     * @param {number} timeout - The timeout that expired, in milliseconds.
+     */
+    constructor(prompt, timeout) {
+        super(`Prompt "${prompt}" timed out after ${timeout}ms`);
+        this.name = 'PromptTimeoutError';
+        this.prompt = prompt;
+        this.timeout = timeout;
+    }
+}
+
+module.exports = {
+    MissingAnswerError,
+    InvalidAnswerError,
+    PromptCancelledError,
+    PromptTimeoutError
+};
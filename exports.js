@@ -5,10 +5,13 @@
  * - Quizzer: simple stage runner used for legacy/step-based flows
  * - Questioner: modern prompt API with styling and helpers
  * - Table: interactive table renderer (UI/InteractiveTable)
+ * - TestDriver: headless harness for scripting keystrokes in tests
+ * - MissingAnswerError / InvalidAnswerError: raised by non-interactive prompts
+ * - PromptCancelledError / PromptTimeoutError: raised when a prompt is dismissed, aborted or times out
  */
 // Prefer minified builds when installed from npm (dist), fallback to source in dev.
 const path = require('path');
-let Quizzer, Questioner, Table;
+let Quizzer, Questioner, Table, TestDriver, errors;
 
 // Try to require files relative to this file's directory so it works from both
 // the repo root (exports.js) and the published package (dist/exports.min.js)
@@ -16,17 +19,23 @@ try {
   Quizzer = require(path.join(__dirname, 'quizzer.min.js'));
   Questioner = require(path.join(__dirname, 'questioner.min.js'));
   Table = require(path.join(__dirname, 'UI', 'table.min.js'));
+  TestDriver = require(path.join(__dirname, 'testing.min.js'));
+  errors = require(path.join(__dirname, 'errors.min.js'));
 } catch (e) {
   // Fallback for local dev where minified files may not exist
   try {
     Quizzer = require(path.join(__dirname, 'quizzer.js'));
     Questioner = require(path.join(__dirname, 'questioner.js'));
     Table = require(path.join(__dirname, 'UI', 'table.js'));
+    TestDriver = require(path.join(__dirname, 'testing.js'));
+    errors = require(path.join(__dirname, 'errors.js'));
   } catch (e2) {
     // Final fallback: try without extensions (Node's resolution)
     Quizzer = require(path.join(__dirname, 'quizzer'));
     Questioner = require(path.join(__dirname, 'questioner'));
     Table = require(path.join(__dirname, 'UI', 'table'));
+    TestDriver = require(path.join(__dirname, 'testing'));
+    errors = require(path.join(__dirname, 'errors'));
   }
 }
-module.exports = { Quizzer, Questioner, Table } 
\ No newline at end of file
+module.exports = { Quizzer, Questioner, Table, TestDriver, ...errors } 
\ No newline at end of file
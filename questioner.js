@@ -4,8 +4,49 @@
  * Modern, promise-based CLI prompt utilities with theming, icons and
  * full backward-compatibility for v1.
  */
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const readline = require('readline');
+const util = require('util');
 const Styling = require('./UI/Styling');
+const Renderer = require('./UI/Renderer');
+const {
+    MissingAnswerError,
+    InvalidAnswerError,
+    PromptCancelledError,
+    PromptTimeoutError
+} = require('./errors');
+
+/**
+ * An entry in select(), searchable select and multiselect choice lists.
+ * @typedef {object} Choice
+ * @property {string} name - Label shown in the list.
+ * @property {any} [value] - Returned when picked; defaults to name.
+ * @property {string} [description] - Shown under the list while the choice is highlighted.
+ * @property {string} [hint] - Short note right-aligned on the choice's row.
+ * @property {boolean|string} [disabled] - Shown dimmed and skipped by the cursor; a string gives the reason.
+ * @property {boolean|string} [separator] - A divider row (optionally labelled) the cursor skips.
+ */
+
+/**
+ * A field in form(). Besides the options of the prompt its `type` selects,
+ * `message`/`label`, `default` and `choices` may be functions of the
+ * answers so far; a `choices` function also gets the search query
+ * (`(answers, query)`) so async and remote choices keep working.
+ * @typedef {object} FormField
+ * @property {string} name - Key of the answer in the result.
+ * @property {'input'|'password'|'number'|'confirm'|'select'|'multiselect'|'editor'|'date'|'slider'|'rating'|'likert'|'path'|'group'} [type='input']
+ * @property {string|((answers:object)=>string)} [label] - Message shown; defaults to name.
+ * @property {string|((answers:object)=>string)} [message] - Same as label; wins when both are set.
+ * @property {any|((answers:object)=>any)} [default]
+ * @property {Array|((answers:object, query:string)=>Array|Promise<Array>)} [choices]
+ * @property {(answers:object)=>boolean|Promise<boolean>} [when] - Skip the field (and leave
+ *   it out of the result) when this returns false.
+ * @property {FormField[]} [fields] - For `type: 'group'`: fields whose answers are nested
+ *   under this field's name.
+ */
 
 class Questioner {
     /**
@@ -16,12 +57,27 @@ class Questioner {
      * @param {boolean} [options.icons=true] - Show unicode icons where applicable.
      * @param {boolean} [options.colors=true] - Enable colored output.
      * @param {boolean} [options.fallbackMode=false] - Reserved for reduced-capability terminals.
+     * @param {NodeJS.ReadableStream} [options.stdin=process.stdin] - Stream answers and keypresses are read from.
+     * @param {NodeJS.WritableStream} [options.stdout=process.stdout] - Stream prompts are rendered to.
+     * @param {number} [options.terminalWidth] - Override the detected terminal width (columns).
+     * @param {number} [options.terminalHeight] - Override the detected terminal height (rows).
+     * @param {boolean|'auto'} [options.nonInteractive=false] - Answer prompts from pre-supplied answers
+     *   instead of the terminal. 'auto' enables it when stdin is not a TTY or the CI env var is set.
+     * @param {object} [options.answers] - Pre-supplied answers keyed by prompt name (or message).
+     * @param {string} [options.answersFile] - Path to a JSON file of answers keyed by prompt name.
+     * @param {string} [options.envPrefix] - Read answers from env vars named PREFIX + NAME (e.g. MYAPP_PROJECT_NAME).
+     * @param {string} [options.historyFile='~/.terminal-quizzer-history.json'] - Where input() history is persisted.
+     * @param {number} [options.historySize=100] - Maximum entries kept per history key.
      */
     constructor(options = {}) {
         // Initialize with backward compatibility
         this.styling = new Styling();
         this.rl = null;
 
+        // I/O streams (injectable for SSH sessions, pipes and tests)
+        this.stdin = options.stdin || process.stdin;
+        this.stdout = options.stdout || process.stdout;
+
         // Theme and styling options
         this.theme = options.theme || 'default';
         this.styling.setTheme(this.theme);
@@ -31,12 +87,18 @@ class Questioner {
             enableIcons: options.icons !== false,
             enableColors: options.colors !== false,
             fallbackMode: options.fallbackMode || false,
+            historyFile: path.join(os.homedir(), '.terminal-quizzer-history.json'),
+            historySize: 100,
             ...options
         };
 
         // Terminal capability detection
         this.capabilities = this.detectTerminalCapabilities();
 
+        // Pre-supplied answers for non-interactive mode
+        this.answers = options.answers || {};
+        this.fileAnswers = options.answersFile ? this.loadAnswersFile(options.answersFile) : {};
+
         // Backward compatibility properties
         this.NORMAL = '\x1b[0m';
         this.GREEN = '\x1b[32;01m';
@@ -48,10 +110,14 @@ class Questioner {
 
         // Hidden input tracking for password fields
         this.hiddenInput = '';
+
+        // Rows of finished output written so far; form() measures fields with it
+        this.rowsWritten = 0;
     }
 
     /**
-     * Inspect the current TTY/terminal to enable graceful feature toggles.
+     * Inspect the output stream/terminal to enable graceful feature toggles.
+     * Explicit terminalWidth/terminalHeight options take precedence.
      * @returns {{supportsColor:boolean,supportsUnicode:boolean,supportsAnsi:boolean,terminalWidth:number,terminalHeight:number}}
      */
     detectTerminalCapabilities() {
@@ -59,11 +125,11 @@ class Questioner {
         const colorterm = process.env.COLORTERM || '';
 
         return {
-            supportsColor: process.stdout.isTTY && (term.includes('color') || colorterm),
+            supportsColor: this.stdout.isTTY && (term.includes('color') || colorterm),
             supportsUnicode: process.env.LANG && process.env.LANG.includes('UTF'),
-            supportsAnsi: process.stdout.isTTY,
-            terminalWidth: process.stdout.columns || 80,
-            terminalHeight: process.stdout.rows || 24
+            supportsAnsi: this.stdout.isTTY,
+            terminalWidth: this.config.terminalWidth || this.stdout.columns || 80,
+            terminalHeight: this.config.terminalHeight || this.stdout.rows || 24
         };
     }
 
@@ -75,17 +141,19 @@ class Questioner {
      * Ask a simple text question (legacy-friendly wrapper around input()).
      * @param {string} question - Prompt message.
      * @param {string} [colour] - ANSI color escape for legacy usage.
+     * @param {object} [options] - Extra input() options, e.g. `{ history: 'hosts' }`.
      * @returns {Promise<string>} Resolves to the entered text.
      */
-    askQuestion(question, colour = this.GREEN) {
+    askQuestion(question, colour = this.GREEN, options = {}) {
         return this.input({
             message: question,
-            style: { color: colour }
+            style: { color: colour },
+            ...options
         });
     }
 
     /**
-     * Ask for multiple lines until the user types 'Q'.
+     * Ask for multiple lines in the multiline() editor (Ctrl+D to finish).
      * @param {string} question - Prompt message.
      * @param {string} [responsePrefix='\n'] - Prefix added before each collected line.
      * @param {string} [colour] - ANSI color escape for legacy usage.
@@ -118,6 +186,10 @@ class Questioner {
             choices: choices,
             title: title,
             style: { color: colour }
+        }).catch((error) => {
+            // v1 menus resolved null when dismissed
+            if (error instanceof PromptCancelledError) return null;
+            throw error;
         });
     }
 
@@ -138,7 +210,7 @@ class Questioner {
 
     showTable(columns = [], rows = [], selectedTask = null, title = null) {
         const Table = require('./UI/table');
-        const table = new Table({ theme: this.theme });
+        const table = new Table(this.tableOptions());
         table
             .setTitle(title)
             .setColumns(columns)
@@ -149,7 +221,7 @@ class Questioner {
 
     showTableMenu(question, columns, rows) {
         const Table = require('./UI/table');
-        const table = new Table({ theme: this.theme });
+        const table = new Table(this.tableOptions());
         return table
             .setTitle(question)
             .setColumns(columns)
@@ -157,17 +229,48 @@ class Questioner {
             .showTableMenu();
     }
 
+    /**
+     * Options shared with tables so they render to the same terminal.
+     * @private
+     */
+    tableOptions() {
+        return {
+            theme: this.theme,
+            stdin: this.stdin,
+            stdout: this.stdout,
+            terminalWidth: this.capabilities.terminalWidth
+        };
+    }
+
     /**
      * Prompt for a single-line input.
      * @param {object} [options]
      * @param {string} [options.message='Enter value:']
      * @param {string} [options.default]
+     * @param {string} [options.initial] - Text already on the line, ready to edit.
      * @param {string} [options.placeholder]
      * @param {(value:string)=>true|string|Promise<true|string>} [options.validate]
      * @param {(value:string)=>any} [options.transform]
      * @param {object} [options.style]
      * @param {boolean} [options.required=false]
+     * @param {AbortSignal} [options.signal] - Cancels the prompt when aborted.
+     * @param {number} [options.timeout] - Milliseconds to wait before answering with the default.
+     *   A countdown is shown next to the message until the first keypress.
+     * @param {boolean|string} [options.history] - Recall previous answers with Up/Down. `true` keys
+     *   the history by the prompt's name (or message); a string names a history to share.
+     * @param {(text:string)=>string[]|Promise<string[]>} [options.complete] - Candidate completions
+     *   for the current text. Tab completes their common prefix, repeated Tab cycles them in a
+     *   dropdown and the first match is suggested as ghost text (→ accepts it).
+     * @param {number} [options.pageSize=8] - Completion candidates shown at once.
+     * @param {string} [options.mask] - Input mask: 9 = digit, a = letter, * = letter or digit,
+     *   [..] = optional slots, \\ escapes; anything else is a literal, e.g. '(999) 999-9999'.
+     *   'ipv4' is built in. A mask needs at least one slot.
+     * @param {string} [options.maskPlaceholder='_'] - Shown in empty mask slots.
+     * @param {'formatted'|'raw'} [options.maskValue='formatted'] - Return the value with the
+     *   mask's literals or just the typed characters.
      * @returns {Promise<any>} The final (possibly transformed) value.
+     * @throws {PromptCancelledError} On Escape, Ctrl+C or abort.
+     * @throws {PromptTimeoutError} When the timeout expires and there is no default.
      */
     async input(options = {}) {
         const config = {
@@ -181,8 +284,43 @@ class Questioner {
             ...options
         };
 
+        if (config.mask) {
+            return this.maskedInput(config);
+        }
+
+        if (this.isNonInteractive()) {
+            return this.answerFromSource(config);
+        }
+
+        if (config.complete) {
+            return this.completingInput(config);
+        }
+
+        if (config.signal && config.signal.aborted) {
+            throw this.cancelledError(config, 'abort');
+        }
+
+        const historyKey = config.history ? this.historyKey(config) : null;
+
         return new Promise((resolve, reject) => {
-            this.startReadline();
+            this.startReadline(historyKey ? {
+                historySize: this.config.historySize,
+                removeHistoryDuplicates: true
+            } : {});
+            if (historyKey) {
+                // Seeded directly: the `history` option needs Node 15.8+
+                this.rl.history = this.loadHistory(historyKey);
+            }
+
+            const stopWatching = this.watchForCancel(config, (reason) => {
+                stopWatching();
+                stopCountdown();
+                this.closeReadline();
+                if (reason === 'back') {
+                    this.stdout.write('\r\x1b[2K');
+                }
+                reject(this.cancelledError(config, reason));
+            });
 
             const theme = this.styling.getTheme();
             const icon = this.config.enableIcons ? this.styling.icons.question + ' ' : '';
@@ -191,10 +329,53 @@ class Questioner {
 
             const prompt = icon + styledMessage;
             if (config.placeholder) {
-                console.log(this.styling.hex(theme.muted)(`(${config.placeholder})`));
+                this.log(this.styling.hex(theme.muted)(`(${config.placeholder})`));
+            }
+
+            // The prompt as currently shown, to count the rows the answered line takes
+            let shown = prompt + this.countdownLabel(config) + ' ';
+            const refresh = (text) => {
+                shown = text;
+                this.refreshPrompt(text);
+            };
+
+            let counting = Boolean(config.timeout);
+            const stopTimer = this.startCountdown(config, {
+                tick: (label) => refresh(prompt + label + ' '),
+                expire: () => {
+                    counting = false;
+                    this.stdin.removeListener('keypress', onFirstKey);
+                    stopWatching();
+                    this.rowsWritten += this.countRows(shown + this.rl.line);
+                    this.closeReadline();
+                    this.stdout.write('\n');
+
+                    if (config.default === undefined) {
+                        return reject(new PromptTimeoutError(this.promptKey(config), config.timeout));
+                    }
+                    this.finalizeAnswer(config, config.default).then(resolve, reject);
+                }
+            });
+            const stopCountdown = () => {
+                if (!counting) return false;
+                counting = false;
+                stopTimer();
+                this.stdin.removeListener('keypress', onFirstKey);
+                return true;
+            };
+            // Someone is at the keyboard; drop the countdown from the prompt
+            const onFirstKey = () => {
+                if (stopCountdown()) refresh(prompt + ' ');
+            };
+            if (counting) {
+                this.stdin.on('keypress', onFirstKey);
             }
 
-            this.rl.question(prompt + ' ', async (answer) => {
+            this.rl.question(shown, async (answer) => {
+                this.rowsWritten += this.countRows(shown + answer);
+                stopWatching();
+                stopCountdown();
+                const typed = answer;
                 try {
                     // Apply default value
                     if (!answer && config.default !== undefined) {
@@ -203,20 +384,24 @@ class Questioner {
 
                     // Validation
                     if (config.required && !answer) {
-                        console.log(this.styling.hex(theme.error)('❌ This field is required'));
+                        this.log(this.styling.hex(theme.error)('❌ This field is required'));
                         this.closeReadline();
-                        return resolve(await this.input(config));
+                        return resolve(await this.input({ ...config, initial: undefined }));
                     }
 
                     if (config.validate && typeof config.validate === 'function') {
                         const validationResult = await config.validate(answer);
                         if (validationResult !== true) {
-                            console.log(this.styling.hex(theme.error)('❌ ' + validationResult));
+                            this.log(this.styling.hex(theme.error)('❌ ' + validationResult));
                             this.closeReadline();
-                            return resolve(await this.input(config));
+                            return resolve(await this.input({ ...config, initial: undefined }));
                         }
                     }
 
+                    if (historyKey && typed) {
+                        this.saveHistory(historyKey, typed);
+                    }
+
                     // Transform
                     if (config.transform && typeof config.transform === 'function') {
                         answer = config.transform(answer);
@@ -229,641 +414,4324 @@ class Questioner {
                     reject(error);
                 }
             });
+            if (config.initial !== undefined && config.initial !== null) {
+                this.rl.write(String(config.initial));
+            }
         });
     }
 
     /**
-     * Collect multiple lines until the user types 'Q' (case-sensitive).
-     * @param {object} [options]
-     * @param {string} [options.message]
-     * @param {string} [options.prefix='\n'] - Prefix printed before each captured line.
-     * @param {object} [options.style]
-     * @returns {Promise<string>} Concatenated lines including prefixes and newlines.
+     * Keypress-driven variant of input() used when a `complete` function is
+     * given, so candidates can be drawn under the line as it is edited.
+     * Supports the same default/required/validate/transform, history and
+     * timeout options as the readline-based prompt.
+     * @private
      */
-    async multiline(options = {}) {
-        const config = {
-            message: options.message || "Enter multiple lines (Q to finish):",
-            prefix: options.prefix || this.defaultResponsePrefix,
-            style: options.style || {},
-            ...options
-        };
+    completingInput(config) {
+        const historyKey = config.history ? this.historyKey(config) : null;
+        const history = historyKey ? this.loadHistory(historyKey) : [];
+        const theme = this.styling.getTheme();
 
-        return new Promise((resolve, reject) => {
-            this.startReadline();
-            const theme = this.styling.getTheme();
+        if (config.placeholder) {
+            this.log(this.styling.hex(theme.muted)(`(${config.placeholder})`));
+        }
+
+        return this.keypressPrompt(config, (prompt) => {
             const icon = this.config.enableIcons ? this.styling.icons.question + ' ' : '';
             const styledMessage = this.config.enableColors ?
                 this.styling.hex(theme.primary)(config.message) : config.message;
+            const pageSize = config.pageSize || 8;
 
-            console.log(icon + styledMessage);
-            console.log(this.styling.hex(theme.muted)("['Q' to finish]"));
+            let value = '';
+            let cursor = 0;
+            let error = null;
+            let submitted = '';
+            let suggestions = [];
+            let menu = null;
+            let request = 0;
+            let historyIndex = -1;
+            let draft = '';
 
-            this.getMultilineInput(config.prefix, "", resolve, reject);
-        });
-    }
+            const setValue = (text) => {
+                value = text;
+                cursor = text.length;
+            };
 
-    /**
-     * Internal helper to recursively collect multiline input.
-     * @private
-     */
-    getMultilineInput(responsePrefix, response, resolve, reject) {
-        // ask for the user's input
-        this.rl.question(this.promptPrefix, (answer) => {
-            if (answer === "Q") {
-                // close readline
-                this.closeReadline();
-                // if the user entered 'Q' then resolve the question with the response we already have
-                resolve(response);
-            } else {
-                // otherwise append the answer to the response
-                response += responsePrefix + answer + "\n";
-                // now run this method again using the updated response string
-                this.getMultilineInput(responsePrefix, response, resolve, reject);
-            }
-        });
-    }
+            const fetchCandidates = async (text) => {
+                const candidates = await config.complete(text);
+                return Array.isArray(candidates) ? candidates.map(String) : [];
+            };
 
-    /**
-     * Hidden password input with masking and validation.
-     * @param {object} [options]
-     * @param {string} [options.message='Enter password:']
-     * @param {string} [options.mask='*'] - Character to echo for each typed char.
-     * @param {(value:string)=>true|string} [options.validate]
-     * @param {boolean} [options.required=true]
-     * @returns {Promise<string>} The entered password.
-     */
-    async password(options = {}) {
-        const config = {
-            message: options.message || 'Enter password:',
-            mask: options.mask || '*',
-            validate: options.validate,
-            required: options.required !== false,
-            ...options
-        };
+            // Refresh the ghost-text suggestion; stale responses are dropped
+            const suggest = () => {
+                const id = ++request;
+                fetchCandidates(value).then((candidates) => {
+                    if (id !== request) return;
+                    suggestions = candidates;
+                    prompt.render();
+                }, prompt.reject);
+            };
 
-        return new Promise((resolve, reject) => {
-            const theme = this.styling.getTheme();
-            const icon = this.config.enableIcons ? '🔒 ' : '';
-            const styledMessage = this.config.enableColors ?
-                this.styling.hex(theme.primary)(config.message) : config.message;
+            const ghost = () => {
+                if (menu || !value || cursor !== value.length) return '';
+                const match = suggestions.find(c => c.startsWith(value) && c.length > value.length);
+                return match ? match.slice(value.length) : '';
+            };
 
-            process.stdout.write(icon + styledMessage + ' ');
+            const complete = async (direction) => {
+                if (menu) {
+                    const count = menu.candidates.length;
+                    menu.index = menu.index === -1 && direction < 0 ? count - 1 : (menu.index + direction + count) % count;
+                    setValue(menu.candidates[menu.index]);
+                    return;
+                }
 
-            this.startReadline();
-            readline.emitKeypressEvents(process.stdin, this.rl);
+                const text = value;
+                const candidates = await fetchCandidates(text);
+                if (text !== value || candidates.length === 0) return;
 
-            if (process.stdin.isTTY) {
-                process.stdin.setRawMode(true);
-            }
+                if (candidates.length === 1) {
+                    setValue(candidates[0]);
+                    suggest();
+                    return;
+                }
+
+                const prefix = this.commonPrefix(candidates);
+                if (prefix.length > value.length) setValue(prefix);
+                menu = { candidates, index: -1 };
+            };
 
-            this.hiddenInput = '';
+            const submit = async () => {
+                let answer = value;
+                if (!answer && config.default !== undefined) {
+                    answer = config.default;
+                }
 
-            const keyPressHandler = (char, key) => {
-                if (key && key.ctrl && key.name === 'c') {
-                    process.exit();
+                if (config.required && !answer) {
+                    error = 'This field is required';
+                    return;
                 }
 
-                if (key && key.name === 'return') {
-                    process.stdout.write('\n');
-                    this.rl.input.off('keypress', keyPressHandler);
-                    if (process.stdin.isTTY) {
-                        process.stdin.setRawMode(false);
+                if (config.validate && typeof config.validate === 'function') {
+                    const validationResult = await config.validate(answer);
+                    if (validationResult !== true) {
+                        error = validationResult;
+                        return;
                     }
-                    this.closeReadline();
+                }
+
+                if (historyKey && value) {
+                    this.saveHistory(historyKey, value);
+                }
+
+                submitted = String(answer);
+                if (config.transform && typeof config.transform === 'function') {
+                    answer = config.transform(answer);
+                }
+                prompt.resolve(answer);
+            };
+
+            const recall = (step) => {
+                const next = historyIndex + step;
+                if (next < -1 || next >= history.length) return;
+                if (historyIndex === -1) draft = value;
+                historyIndex = next;
+                setValue(historyIndex === -1 ? draft : history[historyIndex]);
+                suggest();
+            };
+
+            const edit = (text, position) => {
+                value = text;
+                cursor = position;
+                menu = null;
+                historyIndex = -1;
+                suggest();
+            };
+
+            if (config.initial !== undefined && config.initial !== null) {
+                setValue(String(config.initial));
+            }
+
+            return {
+                shiftTab: true,
+                render: () => {
+                    const line = icon + styledMessage + prompt.countdown() + ' ';
+                    const lines = [line + value + this.styling.hex(theme.muted)(ghost())];
 
-                    // Validate password
-                    if (config.required && !this.hiddenInput) {
-                        console.log(this.styling.hex(theme.error)('❌ Password is required'));
-                        return resolve(this.password(config));
+                    if (menu) {
+                        const start = Math.min(
+                            Math.max(0, menu.index - pageSize + 1),
+                            Math.max(0, menu.candidates.length - pageSize)
+                        );
+                        menu.candidates.slice(start, start + pageSize).forEach((candidate, offset) => {
+                            const isSelected = start + offset === menu.index;
+                            lines.push(isSelected ?
+                                this.styling.hex(theme.primary).bold('→ ' + candidate) :
+                                this.styling.hex(theme.muted)('  ' + candidate));
+                        });
                     }
 
-                    if (config.validate && typeof config.validate === 'function') {
-                        const validationResult = config.validate(this.hiddenInput);
-                        if (validationResult !== true) {
-                            console.log(this.styling.hex(theme.error)('❌ ' + validationResult));
-                            return resolve(this.password(config));
-                        }
+                    if (error) {
+                        lines.push(this.styling.hex(theme.error)('❌ ' + error));
                     }
 
-                    resolve(this.hiddenInput);
-                    return;
-                }
+                    return {
+                        lines,
+                        cursor: { line: 0, column: Renderer.width(line + value.slice(0, cursor)) }
+                    };
+                },
+                keypress: (char, key = {}) => {
+                    error = null;
+
+                    switch (key.name) {
+                        case 'tab':
+                            complete(key.shift ? -1 : 1).then(prompt.render, prompt.reject);
+                            return;
+                        case 'return':
+                        case 'enter':
+                            if (menu && menu.index !== -1) {
+                                menu = null;
+                                suggest();
+                                return;
+                            }
+                            menu = null;
+                            submit().then(prompt.render, prompt.reject);
+                            return;
+                        case 'up':
+                        case 'down':
+                            if (menu) {
+                                complete(key.name === 'up' ? -1 : 1).then(prompt.render, prompt.reject);
+                            } else {
+                                recall(key.name === 'up' ? 1 : -1);
+                            }
+                            return;
+                        case 'left':
+                            cursor = Math.max(0, cursor - 1);
+                            return;
+                        case 'right': {
+                            const suggestion = ghost();
+                            if (suggestion) {
+                                edit(value + suggestion, value.length + suggestion.length);
+                            } else {
+                                cursor = Math.min(value.length, cursor + 1);
+                            }
+                            return;
+                        }
+                        case 'home':
+                            cursor = 0;
+                            return;
+                        case 'end':
+                            cursor = value.length;
+                            return;
+                        case 'backspace':
+                            if (cursor > 0) edit(value.slice(0, cursor - 1) + value.slice(cursor), cursor - 1);
+                            return;
+                        case 'delete':
+                            if (cursor < value.length) edit(value.slice(0, cursor) + value.slice(cursor + 1), cursor);
+                            return;
+                    }
 
-                if (key && key.name === 'backspace') {
-                    if (this.hiddenInput.length > 0) {
-                        this.hiddenInput = this.hiddenInput.slice(0, -1);
-                        process.stdout.write('\b \b');
+                    if (key.ctrl) {
+                        if (key.name === 'a') cursor = 0;
+                        if (key.name === 'e') cursor = value.length;
+                        if (key.name === 'u') edit(value.slice(cursor), 0);
+                        return;
                     }
-                    return;
-                }
 
-                if (char) {
-                    this.hiddenInput += char;
-                    process.stdout.write(config.mask);
+                    if (char && char >= ' ' && !key.meta) {
+                        edit(value.slice(0, cursor) + char + value.slice(cursor), cursor + char.length);
+                    }
+                },
+                summary: () => submitted,
+                expire: () => {
+                    if (config.default === undefined) {
+                        prompt.reject(new PromptTimeoutError(this.promptKey(config), config.timeout));
+                        return;
+                    }
+                    submitted = String(config.default);
+                    this.finalizeAnswer(config, config.default).then(prompt.resolve, prompt.reject);
                 }
             };
-
-            this.rl.input.on('keypress', keyPressHandler);
         });
     }
 
     /**
-     * Numeric input with optional min/max and integer/float parsing.
-     * @param {object} [options]
-     * @param {string} [options.message='Enter number:']
-     * @param {number} [options.min]
-     * @param {number} [options.max]
-     * @param {boolean} [options.float=false] - Parse as float instead of integer.
-     * @param {(value:number)=>true|string} [options.validate]
-     * @returns {Promise<number>} The parsed number.
+     * Variant of input() used when a `mask` is given. Typed characters fill
+     * the mask's slots, characters a slot does not accept are ignored and
+     * the cursor steps over literals by itself; typing the literal that
+     * follows a part with optional slots (e.g. "." in an IPv4 address) moves
+     * on to the next part.
+     * @private
      */
-    async number(options = {}) {
-        const config = {
-            message: options.message || 'Enter number:',
-            min: options.min,
-            max: options.max,
-            float: options.float || false,
-            validate: options.validate,
-            ...options
-        };
-
-        config.validate = (value) => {
-            const num = config.float ? parseFloat(value) : parseInt(value);
+    async maskedInput(config) {
+        const theme = this.styling.getTheme();
+        const mask = this.maskState(config.mask);
 
-            if (isNaN(num)) {
-                return 'Please enter a valid number';
+        const valueOf = () => config.maskValue === 'raw' ? mask.raw() : mask.formatted();
+        const check = async () => {
+            if (mask.empty()) {
+                return config.required ? 'This field is required' : true;
             }
-
-            if (config.min !== undefined && num < config.min) {
-                return `Number must be at least ${config.min}`;
+            if (!mask.complete()) {
+                return 'Please complete the value';
             }
-
-            if (config.max !== undefined && num > config.max) {
-                return `Number must be at most ${config.max}`;
+            if (config.mask === 'ipv4' && mask.formatted().split('.').some(octet => Number(octet) > 255)) {
+                return 'Each part of an IPv4 address must be 0-255';
             }
-
-            if (options.validate) {
-                return options.validate(num);
+            if (config.validate && typeof config.validate === 'function') {
+                return config.validate(valueOf());
             }
-
             return true;
         };
-
-        config.transform = (value) => {
-            return config.float ? parseFloat(value) : parseInt(value);
-        };
-
-        return this.input(config);
-    }
-
-    /**
-     * Select a single option from a list. Supports optional search.
-     * @param {object} [options]
-     * @param {string} [options.message='Select an option:']
-     * @param {{name:string,value?:any}[]} [options.choices=[]]
-     * @param {any} [options.default]
-     * @param {boolean} [options.searchable=false]
-     * @param {number} [options.pageSize=10]
-     * @returns {Promise<any|null>} The selected value (or name) or null if cancelled.
-     */
-    async select(options = {}) {
-        const config = {
-            message: options.message || 'Select an option:',
-            choices: options.choices || [],
-            default: options.default,
-            searchable: options.searchable || false,
-            pageSize: options.pageSize || 10,
-            ...options
+        const finish = async () => {
+            const result = await check();
+            if (result !== true) return { error: result };
+            const value = valueOf();
+            return { value, answer: config.transform && typeof config.transform === 'function' ? config.transform(value) : value };
         };
 
-        if (config.searchable) {
-            return this.searchableSelect(config);
+        if (this.isNonInteractive()) {
+            mask.type(String(await this.answerFromSource({ ...config, validate: undefined, transform: undefined })));
+            const { error, answer } = await finish();
+            if (error) throw new InvalidAnswerError(this.promptKey(config), error);
+            return answer;
         }
 
-        return new Promise((resolve) => {
-            const theme = this.styling.getTheme();
-            let selectedIndex = 0;
-            const choices = config.choices;
+        if (config.default !== undefined) {
+            mask.type(String(config.default));
+        }
 
-            const render = () => {
-                console.clear();
+        return this.keypressPrompt(config, (prompt) => {
+            const icon = this.config.enableIcons ? this.styling.icons.question + ' ' : '';
+            const styledMessage = this.config.enableColors ?
+                this.styling.hex(theme.primary)(config.message) : config.message;
+            const placeholder = this.styling.hex(theme.muted)(config.maskPlaceholder || '_');
+            let error = null;
+            let submitted = '';
 
-                if (config.title) {
-                    console.log(this.styling.createBox(config.title, {
-                        style: 'rounded',
-                        borderColor: theme.primary,
-                        padding: 1
-                    }));
-                    console.log();
+            const submit = async (onError) => {
+                const result = await finish();
+                if (result.error) {
+                    onError(result.error);
+                    return;
                 }
-
-                const icon = this.config.enableIcons ? this.styling.icons.question + ' ' : '';
-                console.log(this.styling.hex(theme.primary)(icon + config.message));
-                console.log();
-
-                choices.forEach((choice, index) => {
-                    const isSelected = index === selectedIndex;
-                    const cursor = isSelected ? '→ ' : '  ';
-                    const color = isSelected ? theme.primary : theme.text;
-
-                    let display = cursor + choice.name;
-                    if (isSelected) {
-                        display = this.styling.hex(color).bold(display);
-                    } else {
-                        display = this.styling.hex(color)(display);
-                    }
-
-                    console.log(display);
-                });
-
-                console.log();
-                console.log(this.styling.hex(theme.muted)('Use ↑/↓ to navigate, Enter to select'));
+                submitted = result.value;
+                prompt.resolve(result.answer);
             };
 
-            render();
-            this.startReadline();
-            readline.emitKeypressEvents(process.stdin, this.rl);
-
-            if (process.stdin.isTTY) {
-                process.stdin.setRawMode(true);
-            }
+            return {
+                render: () => {
+                    const line = icon + styledMessage + prompt.countdown() + ' ';
+                    const { text, column } = mask.display(placeholder);
+                    const lines = [line + text];
+                    if (error) lines.push(this.styling.hex(theme.error)('❌ ' + error));
+                    return { lines, cursor: { line: 0, column: Renderer.width(line) + column } };
+                },
+                keypress: (char, key = {}) => {
+                    error = null;
 
-            const keyPressHandler = (char, key) => {
-                switch (key?.name) {
-                    case 'up':
-                        selectedIndex = selectedIndex > 0 ? selectedIndex - 1 : choices.length - 1;
-                        render();
-                        break;
-                    case 'down':
-                        selectedIndex = selectedIndex < choices.length - 1 ? selectedIndex + 1 : 0;
-                        render();
-                        break;
-                    case 'return':
-                        this.rl.input.removeAllListeners('keypress');
-                        if (process.stdin.isTTY) {
-                            process.stdin.setRawMode(false);
-                        }
-                        this.closeReadline();
-                        resolve(choices[selectedIndex].value || choices[selectedIndex].name);
-                        break;
-                    case 'escape':
-                    case 'q':
-                        this.rl.input.removeAllListeners('keypress');
-                        if (process.stdin.isTTY) {
-                            process.stdin.setRawMode(false);
-                        }
-                        this.closeReadline();
-                        resolve(null);
-                        break;
+                    if (key.name === 'return' || key.name === 'enter') {
+                        submit((message) => { error = message; }).then(prompt.render, prompt.reject);
+                    } else if (['left', 'right', 'home', 'end', 'backspace', 'delete'].includes(key.name)) {
+                        mask[key.name]();
+                    } else if (key.ctrl && key.name === 'u') {
+                        mask.clear();
+                    } else if (char && char >= ' ' && !key.ctrl && !key.meta) {
+                        mask.type(char);
+                    }
+                },
+                summary: () => submitted,
+                expire: () => {
+                    if (config.default === undefined) {
+                        prompt.reject(new PromptTimeoutError(this.promptKey(config), config.timeout));
+                        return;
+                    }
+                    submit((message) => {
+                        throw new InvalidAnswerError(this.promptKey(config), message);
+                    }).catch(prompt.reject);
                 }
             };
-
-            this.rl.input.on('keypress', keyPressHandler);
         });
     }
 
     /**
-     * Internal implementation of the searchable variant of select().
+     * Editing state for a masked input. The mask (or a preset name) is split
+     * into literals and parts, each part a run of slots: 9 = digit,
+     * a = letter, * = either, [..] = optional. Characters stay packed at the
+     * start of their part; a part that fills up hands the cursor to the next.
      * @private
      */
-    // Searchable select implementation
-    async searchableSelect(config) {
-        return new Promise((resolve) => {
-            const theme = this.styling.getTheme();
-            let selectedIndex = 0;
-            let query = '';
-            const allChoices = config.choices;
+    maskState(pattern) {
+        const presets = { ipv4: '9[99].9[99].9[99].9[99]' };
+        const tests = { '9': /^\d$/, a: /^[a-zA-Z]$/, '*': /^[a-zA-Z\d]$/ };
+        const source = presets[pattern] || pattern;
+        const items = [];
+        let optional = false;
 
-            const getFiltered = () => {
-                if (!query) return allChoices;
-                const q = query.toLowerCase();
-                return allChoices.filter(c => String(c.name).toLowerCase().includes(q));
-            };
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            const last = items[items.length - 1];
+            if (char === '[' || char === ']') {
+                optional = char === '[';
+            } else if (tests[char]) {
+                if (!last || last.literal !== undefined) items.push({ slots: [], value: '' });
+                items[items.length - 1].slots.push({ test: tests[char], optional });
+            } else {
+                items.push({ literal: char === '\\' ? source[++i] : char });
+            }
+        }
 
-            const render = () => {
-                console.clear();
+        const parts = items.filter(item => item.slots);
+        if (parts.length === 0) {
+            throw new Error(`Mask "${pattern}" has no slots to type into (use 9, a or *)`);
+        }
+        let part = 0;
+        let offset = 0;
 
-                if (config.title) {
-                    console.log(this.styling.createBox(config.title, {
-                        style: 'rounded',
-                        borderColor: theme.primary,
-                        padding: 1
+        const current = () => parts[part];
+        const fits = (item, text) => text.length <= item.slots.length &&
+            [...text].every((char, index) => item.slots[index].test.test(char));
+        const moveTo = (index, position) => {
+            part = index;
+            offset = position;
+            // A full part passes the cursor on to the next one
+            if (offset === current().slots.length && part < parts.length - 1) {
+                part++;
+                offset = 0;
+            }
+        };
+        const literalAfter = (item) => items[items.indexOf(item) + 1]?.literal;
+        const minimum = (item) => item.slots.filter(slot => !slot.optional).length;
+
+        const state = {
+            type: (text) => {
+                for (const char of text) {
+                    const item = current();
+                    if (!item) return;
+                    const value = item.value;
+                    const overwrite = value.length === item.slots.length && offset < value.length;
+                    const next = value.slice(0, offset) + char + value.slice(offset + (overwrite ? 1 : 0));
+
+                    if (fits(item, next)) {
+                        item.value = next;
+                        moveTo(part, offset + 1);
+                    } else if (char === literalAfter(item) && value.length >= minimum(item) && part < parts.length - 1) {
+                        moveTo(part + 1, 0);
+                    }
+                }
+            },
+            left: () => {
+                if (offset > 0) offset--;
+                else if (part > 0) {
+                    part--;
+                    offset = Math.max(0, current().value.length - (current().value.length === current().slots.length ? 1 : 0));
+                }
+            },
+            right: () => {
+                if (offset < current().value.length) moveTo(part, offset + 1);
+                else if (part < parts.length - 1) moveTo(part + 1, 0);
+            },
+            home: () => moveTo(0, 0),
+            end: () => {
+                const last = parts.map(item => item.value.length > 0).lastIndexOf(true);
+                moveTo(Math.max(0, last), last === -1 ? 0 : parts[last].value.length);
+            },
+            backspace: () => {
+                if (offset === 0) {
+                    if (part === 0) return;
+                    part--;
+                    offset = current().value.length;
+                }
+                current().value = current().value.slice(0, offset - 1) + current().value.slice(offset);
+                offset = Math.max(0, offset - 1);
+            },
+            delete: () => {
+                current().value = current().value.slice(0, offset) + current().value.slice(offset + 1);
+            },
+            clear: () => {
+                parts.forEach(item => { item.value = ''; });
+                moveTo(0, 0);
+            },
+            empty: () => parts.every(item => !item.value),
+            complete: () => parts.every(item => item.value.length >= minimum(item)),
+            raw: () => parts.map(item => item.value).join(''),
+            formatted: () => items.map(item => item.literal ?? item.value).join(''),
+            display: (placeholder) => {
+                let text = '';
+                let column = 0;
+                for (const item of items) {
+                    if (item === current()) column = Renderer.width(text) + offset;
+                    text += item.literal ?? item.value + placeholder.repeat(item.slots.length - item.value.length);
+                }
+                return { text, column };
+            }
+        };
+
+        return state;
+    }
+
+    /**
+     * Longest prefix shared by every string in the list.
+     * @private
+     */
+    commonPrefix(strings) {
+        let prefix = strings[0] || '';
+        for (const text of strings) {
+            while (!text.startsWith(prefix)) prefix = prefix.slice(0, -1);
+        }
+        return prefix;
+    }
+
+    /**
+     * Multi-line text editor. Arrow keys move across lines, Enter starts a
+     * new line, Backspace at the start of a line joins it to the previous
+     * one and the submit key (Ctrl+D by default) finishes.
+     *
+     * When input is not a terminal (e.g. piped), lines are read until a line
+     * containing only 'Q', as in v1.
+     * @param {object} [options]
+     * @param {string} [options.message]
+     * @param {string} [options.prefix='\n'] - Prefix added before each line in the 'prefixed' format.
+     * @param {'prefixed'|'raw'} [options.format='prefixed'] - 'raw' returns the text as typed;
+     *   'prefixed' returns prefix + line + '\n' for every line (the v1 format).
+     * @param {string} [options.submit='ctrl+d'] - Key that submits, e.g. 'ctrl+d' or 'ctrl+s'.
+     * @param {boolean} [options.lineNumbers=false] - Show a line-number gutter.
+     * @param {number} [options.maxLines] - Maximum number of lines.
+     * @param {number} [options.maxLength] - Maximum number of characters (newlines excluded).
+     * @param {string} [options.default] - Initial text.
+     * @param {(value:string)=>true|string|Promise<true|string>} [options.validate] - Receives the raw text.
+     * @param {boolean} [options.required=false]
+     * @param {object} [options.style]
+     * @param {AbortSignal} [options.signal] - Cancels the prompt when aborted.
+     * @returns {Promise<string>} The text in the requested format.
+     * @throws {PromptCancelledError} On Escape, Ctrl+C or abort.
+     */
+    async multiline(options = {}) {
+        const config = {
+            message: options.message || 'Enter multiple lines:',
+            prefix: options.prefix || this.defaultResponsePrefix,
+            format: options.format || 'prefixed',
+            submit: options.submit || 'ctrl+d',
+            style: options.style || {},
+            ...options
+        };
+
+        const format = (lines) => config.format === 'raw' ?
+            lines.join('\n') : lines.map(line => config.prefix + line + '\n').join('');
+
+        if (this.isNonInteractive()) {
+            const answer = this.lookupAnswer(config) ?? config.default;
+            if (answer === undefined) {
+                throw new MissingAnswerError(this.promptKey(config));
+            }
+            return format(Array.isArray(answer) ? answer : String(answer).split('\n'));
+        }
+
+        if (!this.stdin.isTTY) {
+            return this.readLinesUntilQ(config);
+        }
+
+        return this.keypressPrompt(config, (prompt) => {
+            const theme = this.styling.getTheme();
+            const muted = this.styling.hex(theme.muted);
+            const icon = this.config.enableIcons ? this.styling.icons.question + ' ' : '';
+            const styledMessage = this.config.enableColors ?
+                this.styling.hex(theme.primary)(config.message) : config.message;
+            const submitLabel = config.submit.replace(/\b\w/g, letter => letter.toUpperCase());
+
+            let lines = config.default !== undefined ? String(config.default).split('\n') : [''];
+            let row = lines.length - 1;
+            let col = lines[row].length;
+            let top = 0;
+            let error = null;
+
+            const length = () => lines.reduce((total, line) => total + line.length, 0);
+            const gutter = (index) => config.lineNumbers ?
+                muted(String(index + 1).padStart(String(lines.length).length + 1) + ' │ ') : muted(this.promptPrefix);
+            const insert = (text) => {
+                if (config.maxLength !== undefined && length() + text.length > config.maxLength) {
+                    error = `Maximum ${config.maxLength} characters`;
+                    return;
+                }
+                lines[row] = lines[row].slice(0, col) + text + lines[row].slice(col);
+                col += text.length;
+            };
+
+            const newline = () => {
+                if (config.maxLines !== undefined && lines.length >= config.maxLines) {
+                    error = `Maximum ${config.maxLines} lines`;
+                    return;
+                }
+                lines.splice(row + 1, 0, lines[row].slice(col));
+                lines[row] = lines[row].slice(0, col);
+                row++;
+                col = 0;
+            };
+
+            const submit = async () => {
+                const text = lines.join('\n');
+                if (config.required && !text.trim()) {
+                    error = 'This field is required';
+                    return;
+                }
+                if (config.validate && typeof config.validate === 'function') {
+                    const validationResult = await config.validate(text);
+                    if (validationResult !== true) {
+                        error = validationResult;
+                        return;
+                    }
+                }
+                // A trailing empty line is where the cursor was left, not content
+                const content = lines.length > 1 && lines[lines.length - 1] === '' ? lines.slice(0, -1) : lines;
+                prompt.resolve(text === '' ? '' : format(content));
+            };
+
+            return {
+                render: () => {
+                    const header = [
+                        icon + styledMessage + prompt.countdown(),
+                        muted(`Enter for a new line, ${submitLabel} to submit`)
+                    ];
+                    const size = Math.max(1, this.capabilities.terminalHeight - header.length - 4);
+                    top = this.scrollTop(top, row, size, lines.length);
+
+                    const body = this.renderWindow(lines, top, size, (line, index) => gutter(index) + line);
+                    const limits = [];
+                    if (config.maxLines !== undefined) limits.push(`${lines.length}/${config.maxLines} lines`);
+                    if (config.maxLength !== undefined) limits.push(`${length()}/${config.maxLength} characters`);
+
+                    const output = [...header, ...body];
+                    if (limits.length) output.push(muted(limits.join(' · ')));
+                    if (error) output.push(this.styling.hex(theme.error)('❌ ' + error));
+
+                    const cursorLine = header.length + (top > 0 ? 1 : 0) + row - top;
+                    return {
+                        lines: output,
+                        cursor: { line: cursorLine, column: Renderer.width(gutter(row) + lines[row].slice(0, col)) }
+                    };
+                },
+                keypress: (char, key = {}) => {
+                    error = null;
+
+                    if (this.keyLabel(key) === config.submit) {
+                        submit().then(prompt.render, prompt.reject);
+                        return;
+                    }
+
+                    switch (key.name) {
+                        case 'return':
+                        case 'enter':
+                            newline();
+                            return;
+                        case 'backspace':
+                            if (col > 0) {
+                                lines[row] = lines[row].slice(0, col - 1) + lines[row].slice(col);
+                                col--;
+                            } else if (row > 0) {
+                                col = lines[row - 1].length;
+                                lines[row - 1] += lines[row];
+                                lines.splice(row, 1);
+                                row--;
+                            }
+                            return;
+                        case 'delete':
+                            if (col < lines[row].length) {
+                                lines[row] = lines[row].slice(0, col) + lines[row].slice(col + 1);
+                            } else if (row < lines.length - 1) {
+                                lines[row] += lines[row + 1];
+                                lines.splice(row + 1, 1);
+                            }
+                            return;
+                        case 'left':
+                            if (col > 0) {
+                                col--;
+                            } else if (row > 0) {
+                                row--;
+                                col = lines[row].length;
+                            }
+                            return;
+                        case 'right':
+                            if (col < lines[row].length) {
+                                col++;
+                            } else if (row < lines.length - 1) {
+                                row++;
+                                col = 0;
+                            }
+                            return;
+                        case 'up':
+                        case 'down':
+                            row = Math.max(0, Math.min(lines.length - 1, row + (key.name === 'up' ? -1 : 1)));
+                            col = Math.min(col, lines[row].length);
+                            return;
+                        case 'home':
+                            col = 0;
+                            return;
+                        case 'end':
+                            col = lines[row].length;
+                            return;
+                    }
+
+                    if (key.ctrl) {
+                        if (key.name === 'a') col = 0;
+                        if (key.name === 'e') col = lines[row].length;
+                        return;
+                    }
+
+                    if (char && char >= ' ' && !key.meta) {
+                        insert(char);
+                    }
+                },
+                summary: () => {
+                    const count = lines.join('\n') === '' ? 0 : lines.length;
+                    return `${count} line${count === 1 ? '' : 's'}`;
+                }
+            };
+        });
+    }
+
+    /**
+     * Line-based multiline() fallback for non-terminal input: collects lines
+     * until one containing only 'Q'.
+     * @private
+     */
+    readLinesUntilQ(config) {
+        if (config.signal && config.signal.aborted) {
+            return Promise.reject(this.cancelledError(config, 'abort'));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.startReadline();
+
+            const stopWatching = this.watchForCancel(config, (reason) => {
+                stopWatching();
+                this.closeReadline();
+                reject(this.cancelledError(config, reason));
+            });
+
+            const theme = this.styling.getTheme();
+            const icon = this.config.enableIcons ? this.styling.icons.question + ' ' : '';
+            const styledMessage = this.config.enableColors ?
+                this.styling.hex(theme.primary)(config.message) : config.message;
+
+            this.log(icon + styledMessage);
+            this.log(this.styling.hex(theme.muted)("['Q' to finish]"));
+
+            const raw = config.format === 'raw';
+            this.getMultilineInput(raw ? '' : config.prefix, "", (response) => {
+                stopWatching();
+                resolve(raw ? response.replace(/\n$/, '') : response);
+            }, reject);
+        });
+    }
+
+    /**
+     * Internal helper to recursively collect multiline input.
+     * @private
+     */
+    getMultilineInput(responsePrefix, response, resolve, reject) {
+        // ask for the user's input
+        this.rl.question(this.promptPrefix, (answer) => {
+            this.rowsWritten += this.countRows(this.promptPrefix + answer);
+            if (answer === "Q") {
+                // close readline
+                this.closeReadline();
+                // if the user entered 'Q' then resolve the question with the response we already have
+                resolve(response);
+            } else {
+                // otherwise append the answer to the response
+                response += responsePrefix + answer + "\n";
+                // now run this method again using the updated response string
+                this.getMultilineInput(responsePrefix, response, resolve, reject);
+            }
+        });
+    }
+
+    /**
+     * Long-form answer written in the user's own editor ($VISUAL, then
+     * $EDITOR, then `fallbackEditor`). The editor opens a temp file holding
+     * the template; once it exits, lines starting with `commentChar` are
+     * stripped and the text goes through required/validate/transform. When
+     * validation fails the editor is reopened with the error as a comment.
+     * The editor runs on the configured stdin/stdout; streams that are not
+     * a terminal are piped to and from it.
+     * @param {object} [options]
+     * @param {string} [options.message='Edit your answer:']
+     * @param {string} [options.default] - Template the file starts with.
+     * @param {string} [options.extension='.txt'] - Temp file extension, for syntax highlighting.
+     * @param {string} [options.commentChar='#'] - Lines starting with this are removed; '' keeps every line.
+     * @param {string} [options.fallbackEditor] - Command used when neither $VISUAL nor $EDITOR is set
+     *   (default 'notepad' on Windows, 'vi' elsewhere).
+     * @param {(value:string)=>true|string|Promise<true|string>} [options.validate]
+     * @param {(value:string)=>any} [options.transform]
+     * @param {boolean} [options.required=false]
+     * @param {AbortSignal} [options.signal] - Cancels the prompt (and closes the editor) when aborted.
+     * @returns {Promise<any>} The edited (possibly transformed) text.
+     * @throws {PromptCancelledError} On abort.
+     */
+    async editor(options = {}) {
+        const config = {
+            message: options.message || 'Edit your answer:',
+            extension: options.extension || '.txt',
+            commentChar: options.commentChar ?? '#',
+            fallbackEditor: options.fallbackEditor || (process.platform === 'win32' ? 'notepad' : 'vi'),
+            required: options.required || false,
+            ...options
+        };
+
+        if (this.isNonInteractive()) {
+            return this.answerFromSource(config);
+        }
+
+        const theme = this.styling.getTheme();
+        const icon = this.config.enableIcons ? this.styling.icons.question + ' ' : '';
+        const command = process.env.VISUAL || process.env.EDITOR || config.fallbackEditor;
+        let content = config.default !== undefined ? String(config.default) : '';
+
+        this.log(this.styling.hex(theme.primary)(icon + config.message) + ' ' +
+            this.styling.hex(theme.muted)(`(waiting for ${command.split(/\s+/)[0]} to close…)`));
+
+        for (;;) {
+            const text = this.stripComments(await this.runEditor(config, command, content), config.commentChar);
+
+            let error = null;
+            if (config.required && !text.trim()) {
+                error = 'This field is required';
+            } else if (config.validate && typeof config.validate === 'function') {
+                const validationResult = await config.validate(text);
+                if (validationResult !== true) error = validationResult;
+            }
+
+            if (!error) {
+                const lines = text ? text.split('\n').length : 0;
+                this.log(this.answerSummary(config, `${lines} line${lines === 1 ? '' : 's'}`));
+                return config.transform && typeof config.transform === 'function' ? config.transform(text) : text;
+            }
+
+            this.log(this.styling.hex(theme.error)('❌ ' + error));
+            content = config.commentChar ? `${config.commentChar} ${error}\n${text}` : text;
+        }
+    }
+
+    /**
+     * Open `content` in an external editor and resolve with the saved file.
+     * Raw mode and the readline interface are released while it runs so the
+     * editor owns the terminal.
+     * @private
+     */
+    runEditor(config, command, content) {
+        if (config.signal && config.signal.aborted) {
+            return Promise.reject(this.cancelledError(config, 'abort'));
+        }
+
+        this.closeReadline();
+        this.setRawMode(false);
+        this.stdin.pause();
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quizzer-'));
+        const file = path.join(dir, 'answer' + config.extension);
+        fs.writeFileSync(file, content);
+
+        return new Promise((resolve, reject) => {
+            const [program, ...args] = command.split(/\s+/).filter(Boolean);
+            // Streams backed by a file descriptor (a real terminal) are handed over
+            // as they are; any other stream is piped to and from the editor
+            const piped = (stream) => typeof stream.fd === 'number' ? stream : 'pipe';
+            const child = spawn(program, [...args, file], {
+                stdio: [piped(this.stdin), piped(this.stdout), piped(this.stdout)]
+            });
+            if (child.stdin) {
+                child.stdin.on('error', () => {}); // The editor may exit before reading everything
+                this.stdin.pipe(child.stdin);
+            }
+            if (child.stdout) child.stdout.pipe(this.stdout, { end: false });
+            if (child.stderr) child.stderr.pipe(this.stdout, { end: false });
+
+            const onAbort = () => child.kill();
+            if (config.signal) config.signal.addEventListener('abort', onAbort, { once: true });
+
+            const finish = (error) => {
+                if (config.signal) config.signal.removeEventListener('abort', onAbort);
+                if (child.stdin) {
+                    this.stdin.unpipe(child.stdin);
+                    this.stdin.pause();
+                }
+                let text = '';
+                try {
+                    if (!error) text = fs.readFileSync(file, 'utf8');
+                } catch (readError) {
+                    error = readError;
+                }
+                fs.rmSync(dir, { recursive: true, force: true });
+
+                if (config.signal && config.signal.aborted) {
+                    reject(this.cancelledError(config, 'abort'));
+                } else if (error) {
+                    reject(error);
+                } else {
+                    resolve(text);
+                }
+            };
+
+            child.on('error', (error) => finish(new Error(`Could not start editor "${program}": ${error.message}`)));
+            child.on('exit', (code) => finish(code === 0 ? null : new Error(`Editor "${program}" exited with code ${code}`)));
+        });
+    }
+
+    /**
+     * Drop comment lines and trailing blank lines from editor output.
+     * @private
+     */
+    stripComments(text, commentChar) {
+        const lines = text.replace(/\r\n/g, '\n').split('\n');
+        const kept = commentChar ? lines.filter(line => !line.startsWith(commentChar)) : lines;
+        return kept.join('\n').replace(/\s+$/, '');
+    }
+
+    /**
+     * Browse the filesystem for a file or directory. Right/Enter open the
+     * highlighted directory, Left/Backspace go up, typing filters the listing
+     * and Enter on a file picks it. A typed name that is not listed is
+     * accepted as a new path unless `mustExist` is set.
+     * @param {object} [options]
+     * @param {string} [options.message='Choose a path:']
+     * @param {string} [options.cwd=process.cwd()] - Directory to start browsing in.
+     * @param {string} [options.default] - Path to start on, relative to cwd.
+     * @param {boolean} [options.directoryOnly=false] - List and pick directories only.
+     * @param {string[]} [options.extensions] - Only list files with these extensions, e.g. ['.js', '.ts'].
+     * @param {string|string[]} [options.glob] - Only list files whose name matches, e.g. '*.config.{js,json}'.
+     * @param {boolean} [options.showHidden=false] - List dotfiles.
+     * @param {boolean} [options.mustExist=true] - Reject typed paths that do not exist.
+     * @param {number} [options.pageSize=10] - Entries shown at once; the list scrolls with the cursor.
+     * @param {(value:string)=>true|string|Promise<true|string>} [options.validate]
+     * @param {AbortSignal} [options.signal] - Cancels the prompt when aborted.
+     * @param {number} [options.timeout] - Milliseconds to wait before resolving with the default.
+     * @returns {Promise<string>} The absolute path picked.
+     * @throws {PromptCancelledError} On Escape, Ctrl+C or abort.
+     * @throws {PromptTimeoutError} When the timeout expires and there is no default.
+     */
+    async path(options = {}) {
+        const config = {
+            message: options.message || 'Choose a path:',
+            cwd: options.cwd || process.cwd(),
+            directoryOnly: options.directoryOnly || false,
+            showHidden: options.showHidden || false,
+            mustExist: options.mustExist ?? true,
+            pageSize: options.pageSize || 10,
+            ...options
+        };
+        const globs = [].concat(config.glob || []).map(glob => this.globToRegExp(glob));
+
+        const check = async (target) => {
+            const stats = fs.statSync(target, { throwIfNoEntry: false });
+            if (!stats && config.mustExist) return `No such file or directory: ${target}`;
+            if (stats && config.directoryOnly && !stats.isDirectory()) return `Not a directory: ${target}`;
+            if (config.validate && typeof config.validate === 'function') return config.validate(target);
+            return true;
+        };
+
+        if (this.isNonInteractive()) {
+            const answer = await this.answerFromSource({ ...config, validate: undefined });
+            const target = path.resolve(config.cwd, answer);
+            const result = await check(target);
+            if (result !== true) throw new InvalidAnswerError(this.promptKey(config), result);
+            return target;
+        }
+
+        return this.keypressPrompt(config, (prompt) => {
+            const theme = this.styling.getTheme();
+            const muted = this.styling.hex(theme.muted);
+            const pageSize = () => this.visibleRows(config, 8);
+            let dir = path.resolve(config.cwd);
+            let entries = [];
+            let query = '';
+            let cursor = 0;
+            let top = 0;
+            let error = '';
+
+            const open = (target, focus) => {
+                try {
+                    entries = this.listDirectory(target, config, globs);
+                } catch (readError) {
+                    error = `Cannot open ${target}: ${readError.code || readError.message}`;
+                    return;
+                }
+                dir = target;
+                query = '';
+                error = '';
+                // Land on the directory we came from, else the first real entry
+                const list = rows();
+                const index = list.findIndex(row => focus !== undefined ? row.name === focus : !row.parent && !row.current);
+                cursor = Math.max(0, index);
+            };
+
+            const rows = () => {
+                const parent = path.dirname(dir) !== dir ? [{ name: '..', directory: true, parent: true }] : [];
+                const here = config.directoryOnly ? [{ name: '.', directory: true, current: true }] : [];
+                if (!query) return [...here, ...parent, ...entries];
+
+                return entries
+                    .map(entry => ({ ...entry, match: this.fuzzyMatch(query, entry.name) }))
+                    .filter(entry => entry.match)
+                    .sort((a, b) => b.match.score - a.match.score);
+            };
+
+            const pick = async (target) => {
+                const result = await check(target);
+                if (result !== true) {
+                    error = result;
+                    prompt.render();
+                    return;
+                }
+                prompt.resolve(target);
+            };
+
+            if (config.default) {
+                const target = path.resolve(config.cwd, config.default);
+                const stats = fs.statSync(target, { throwIfNoEntry: false });
+                if (stats && stats.isDirectory()) open(target);
+                else open(path.dirname(target), path.basename(target));
+            } else {
+                open(dir);
+            }
+
+            this.showPromptTitle(config);
+
+            return {
+                render: () => {
+                    const icon = this.config.enableIcons ? this.styling.icons.question + ' ' : '';
+                    const list = rows();
+                    const lines = [this.styling.hex(theme.primary)(icon + config.message) + prompt.countdown()];
+                    lines.push(muted(dir), '');
+
+                    if (list.length === 0) {
+                        lines.push(muted(query ? `  No matches — Enter to use "${query}"` : '  (empty)'));
+                    } else {
+                        top = this.scrollTop(top, cursor, pageSize(), list.length);
+                        lines.push(...this.renderWindow(list, top, pageSize(), (entry, index) => {
+                            const marker = this.config.enableIcons ?
+                                (entry.directory ? this.styling.icons.folder : this.styling.icons.file) : undefined;
+                            const name = entry.current ? '. (this directory)' : entry.name + (entry.directory && !entry.parent ? '/' : '');
+                            return this.renderChoice({ name }, index === cursor,
+                                { marker, positions: entry.match && entry.match.positions });
+                        }));
+                    }
+
+                    if (error) {
+                        lines.push('', this.styling.hex(theme.error)('❌ ' + error));
+                    }
+
+                    lines.push('', muted('Use ↑/↓ to navigate, →/Enter to open, ←/Backspace to go up, type to filter'));
+
+                    if (!query) return lines;
+
+                    const filter = ' Filter: ' + query;
+                    lines.push(filter);
+                    return { lines, cursor: { line: lines.length - 1, column: Renderer.width(filter) } };
+                },
+                keypress: (char, key) => {
+                    const name = key?.name;
+                    const list = rows();
+                    const entry = list[cursor];
+
+                    const moved = this.navigateList(name, cursor, list.length, pageSize());
+                    if (moved !== null) {
+                        cursor = moved;
+                    } else if (name === 'right' || name === 'return' || name === 'enter') {
+                        if (!entry) {
+                            if (name !== 'right' && query) pick(path.resolve(dir, query)).catch(prompt.reject);
+                        } else if (entry.current) {
+                            if (name !== 'right') pick(dir).catch(prompt.reject);
+                        } else if (entry.parent) {
+                            open(path.dirname(dir), path.basename(dir));
+                        } else if (entry.directory) {
+                            open(path.join(dir, entry.name));
+                        } else if (name !== 'right') {
+                            pick(path.join(dir, entry.name)).catch(prompt.reject);
+                        }
+                    } else if (name === 'backspace' && query) {
+                        query = query.slice(0, -1);
+                        cursor = 0;
+                    } else if (name === 'left' || name === 'backspace') {
+                        if (path.dirname(dir) !== dir) open(path.dirname(dir), path.basename(dir));
+                    } else if (char && !key?.ctrl && !key?.meta && char >= ' ' && (query || name !== 'space')) {
+                        query += char;
+                        cursor = 0;
+                        error = '';
+                    }
+                },
+                escape: () => {
+                    if (!query) return false;
+                    query = '';
+                    cursor = 0;
+                    return true;
+                },
+                summary: (value) => path.relative(config.cwd, value) || '.'
+            };
+        });
+    }
+
+    /**
+     * Entries of a directory for path(): directories first, then files that
+     * pass the extension/glob filters, each sorted by name.
+     * @private
+     */
+    listDirectory(dir, config, globs) {
+        const entries = [];
+
+        for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+            if (!config.showHidden && dirent.name.startsWith('.')) continue;
+
+            let directory = dirent.isDirectory();
+            if (dirent.isSymbolicLink()) {
+                const stats = fs.statSync(path.join(dir, dirent.name), { throwIfNoEntry: false });
+                directory = Boolean(stats && stats.isDirectory());
+            }
+
+            if (!directory) {
+                if (config.directoryOnly) continue;
+                if (config.extensions && !config.extensions.includes(path.extname(dirent.name))) continue;
+                if (globs.length && !globs.some(glob => glob.test(dirent.name))) continue;
+            }
+            entries.push({ name: dirent.name, directory });
+        }
+
+        return entries.sort((a, b) => (b.directory - a.directory) || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Convert a file-name glob (*, ?, **, {a,b}) to a RegExp.
+     * @private
+     */
+    globToRegExp(glob) {
+        let pattern = '';
+        for (let i = 0; i < glob.length; i++) {
+            const char = glob[i];
+            if (char === '*' && glob[i + 1] === '*') {
+                pattern += '.*';
+                i++;
+            } else if (char === '*') {
+                pattern += '[^/]*';
+            } else if (char === '?') {
+                pattern += '[^/]';
+            } else if (char === '{') {
+                pattern += '(?:';
+            } else if (char === '}') {
+                pattern += ')';
+            } else if (char === ',') {
+                pattern += glob.slice(0, i).lastIndexOf('{') > glob.slice(0, i).lastIndexOf('}') ? '|' : ',';
+            } else {
+                pattern += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+            }
+        }
+        return new RegExp('^' + pattern + '$');
+    }
+
+    /**
+     * Hidden password input with masking and validation. The line can be
+     * edited anywhere (←/→, Home/End, Backspace/Delete, Ctrl+A/E/U), pasted
+     * text is inserted as-is with line breaks dropped, and the reveal key
+     * (Ctrl+R) shows the plain text until it is pressed again.
+     * @param {object} [options]
+     * @param {string} [options.message='Enter password:']
+     * @param {string} [options.mask='*'] - Character to echo for each typed char.
+     * @param {string} [options.initial] - Password already entered, ready to edit.
+     * @param {(value:string)=>true|string|Promise<true|string>} [options.validate]
+     * @param {boolean} [options.required=true]
+     * @param {boolean|string} [options.confirm=false] - Ask again (with this message, if a string)
+     *   and start over when the two entries differ.
+     * @param {boolean|((value:string)=>number)} [options.strength=false] - Show a strength meter
+     *   that updates as you type; pass a function returning a 0-4 score to replace the built-in estimate.
+     * @param {string} [options.revealKey='ctrl+r'] - Key that toggles showing the plain text.
+     * @param {AbortSignal} [options.signal] - Cancels the prompt when aborted.
+     * @returns {Promise<string>} The entered password.
+     * @throws {PromptCancelledError} On Escape, Ctrl+C or abort.
+     */
+    async password(options = {}) {
+        const config = {
+            message: options.message || 'Enter password:',
+            mask: options.mask || '*',
+            validate: options.validate,
+            required: options.required !== false,
+            confirm: options.confirm || false,
+            strength: options.strength || false,
+            revealKey: options.revealKey || 'ctrl+r',
+            ...options
+        };
+
+        if (this.isNonInteractive()) {
+            return this.answerFromSource(config);
+        }
+
+        return this.keypressPrompt(config, (prompt) => {
+            const theme = this.styling.getTheme();
+            const icon = this.config.enableIcons ? '🔒 ' : '';
+            const paint = (text) => this.config.enableColors ? this.styling.hex(theme.primary)(text) : text;
+            const confirmMessage = typeof config.confirm === 'string' ? config.confirm : 'Confirm password:';
+            let error = null;
+            let cursor = 0;
+            let first = null;
+            let revealed = false;
+            let pasting = false;
+
+            this.hiddenInput = config.initial ? String(config.initial) : '';
+            cursor = this.hiddenInput.length;
+
+            const edit = (text, position) => {
+                this.hiddenInput = text;
+                cursor = position;
+            };
+            const shown = (value) => revealed ? value : config.mask.repeat(value.length);
+            const startOver = (message) => {
+                error = message;
+                first = null;
+                edit('', 0);
+            };
+            const submit = async (value) => {
+                const result = await this.validatePassword(config, value);
+                if (result !== true) {
+                    startOver(result);
+                } else if (config.confirm && first === null) {
+                    first = value;
+                    edit('', 0);
+                } else if (config.confirm && value !== first) {
+                    startOver('Passwords do not match');
+                } else {
+                    prompt.resolve(value);
+                }
+            };
+
+            // Bracketed paste lets a pasted Enter be told apart from a typed one
+            const bracketed = Boolean(this.stdout.isTTY);
+            if (bracketed) {
+                this.stdout.write('\x1b[?2004h');
+            }
+            let tilde = false;
+
+            return {
+                render: () => {
+                    const lines = [];
+                    if (first !== null) {
+                        lines.push(icon + paint(config.message) + ' ' + this.styling.hex(theme.muted)(shown(first)));
+                    }
+
+                    const line = icon + paint(first === null ? config.message : confirmMessage) + ' ';
+                    lines.push(line + shown(this.hiddenInput));
+                    const inputLine = lines.length - 1;
+
+                    if (config.strength && first === null) {
+                        lines.push(this.passwordMeter(config, this.hiddenInput));
+                    }
+                    if (error) {
+                        lines.push(this.styling.hex(theme.error)('❌ ' + error));
+                    }
+
+                    return {
+                        lines,
+                        cursor: { line: inputLine, column: Renderer.width(line + shown(this.hiddenInput.slice(0, cursor))) }
+                    };
+                },
+                keypress: (char, key = {}) => {
+                    const value = this.hiddenInput;
+
+                    const marker = this.pasteMarker(key);
+                    if (marker) {
+                        pasting = marker === 'start';
+                        tilde = !key.sequence.endsWith('~');
+                        return;
+                    }
+                    if (tilde) {
+                        tilde = false;
+                        if (char === '~') return;
+                    }
+                    if (this.keyLabel(key) === config.revealKey) {
+                        revealed = !revealed;
+                        return;
+                    }
+
+                    error = null;
+                    switch (pasting ? null : key.name) {
+                        case 'return':
+                        case 'enter':
+                            submit(value).then(prompt.render, prompt.reject);
+                            return;
+                        case 'left':
+                            cursor = Math.max(0, cursor - 1);
+                            return;
+                        case 'right':
+                            cursor = Math.min(value.length, cursor + 1);
+                            return;
+                        case 'home':
+                            cursor = 0;
+                            return;
+                        case 'end':
+                            cursor = value.length;
+                            return;
+                        case 'backspace':
+                            if (cursor > 0) edit(value.slice(0, cursor - 1) + value.slice(cursor), cursor - 1);
+                            return;
+                        case 'delete':
+                            if (cursor < value.length) edit(value.slice(0, cursor) + value.slice(cursor + 1), cursor);
+                            return;
+                    }
+
+                    if (key.ctrl && !pasting) {
+                        if (key.name === 'a') cursor = 0;
+                        if (key.name === 'e') cursor = value.length;
+                        if (key.name === 'u') edit(value.slice(cursor), 0);
+                        return;
+                    }
+
+                    // Control characters (including pasted line breaks) never become part of the password
+                    if (char && char >= ' ' && !key.meta) {
+                        edit(value.slice(0, cursor) + char + value.slice(cursor), cursor + char.length);
+                    }
+                },
+                dispose: () => {
+                    if (bracketed) this.stdout.write('\x1b[?2004l');
+                },
+                summary: (value) => config.mask.repeat(value.length)
+            };
+        });
+    }
+
+    /**
+     * Strength meter line for password(): a createProgressBar track coloured
+     * from error to success, plus a label.
+     * @private
+     */
+    passwordMeter(config, value) {
+        const theme = this.styling.getTheme();
+        const labels = ['Very weak', 'Weak', 'Fair', 'Good', 'Strong'];
+        const colors = [theme.error, theme.error, theme.warning, theme.info, theme.success];
+        const estimate = typeof config.strength === 'function' ? config.strength : (text) => this.passwordStrength(text);
+        const score = Math.max(0, Math.min(4, Math.round(estimate(value)) || 0));
+
+        return this.styling.hex(theme.muted)('Strength: ') +
+            this.styling.createProgressBar(value ? score + 1 : 0, 5, {
+                width: 10,
+                showPercentage: false,
+                showFraction: false,
+                color: colors[score]
+            }) + ' ' + (value ? this.styling.hex(colors[score])(labels[score]) : '');
+    }
+
+    /**
+     * Rough 0-4 password strength: length and character variety, less for
+     * repeats and runs.
+     * @private
+     */
+    passwordStrength(value) {
+        const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^a-zA-Z\d]/].filter(pattern => pattern.test(value)).length;
+        let score = 0;
+
+        if (value.length >= 8) score++;
+        if (value.length >= 12) score++;
+        if (classes >= 2) score++;
+        if (classes >= 3) score++;
+        if (/(.)\1\1/.test(value) || /^(?:abc|123|qwerty|password)/i.test(value)) score--;
+
+        return Math.max(0, Math.min(4, value.length < 6 ? Math.min(score, 1) : score));
+    }
+
+    /**
+     * Check a password against required and the validate option.
+     * @private
+     * @returns {Promise<true|string>} true when valid, otherwise the error message.
+     */
+    async validatePassword(config, value) {
+        if (config.required && !value) {
+            return 'Password is required';
+        }
+
+        if (config.validate && typeof config.validate === 'function') {
+            return config.validate(value);
+        }
+
+        return true;
+    }
+
+    /**
+     * Numeric input with optional min/max and integer/float parsing.
+     * @param {object} [options]
+     * @param {string} [options.message='Enter number:']
+     * @param {number} [options.min]
+     * @param {number} [options.max]
+     * @param {boolean} [options.float=false] - Parse as float instead of integer.
+     * @param {(value:number)=>true|string} [options.validate]
+     * @param {number} [options.timeout] - Milliseconds to wait before answering with the default.
+     * @returns {Promise<number>} The parsed number.
+     */
+    async number(options = {}) {
+        const config = {
+            message: options.message || 'Enter number:',
+            min: options.min,
+            max: options.max,
+            float: options.float || false,
+            validate: options.validate,
+            ...options
+        };
+
+        config.validate = (value) => {
+            const num = config.float ? parseFloat(value) : parseInt(value);
+
+            if (isNaN(num)) {
+                return 'Please enter a valid number';
+            }
+
+            if (config.min !== undefined && num < config.min) {
+                return `Number must be at least ${config.min}`;
+            }
+
+            if (config.max !== undefined && num > config.max) {
+                return `Number must be at most ${config.max}`;
+            }
+
+            if (options.validate) {
+                return options.validate(num);
+            }
+
+            return true;
+        };
+
+        config.transform = (value) => {
+            return config.float ? parseFloat(value) : parseInt(value);
+        };
+
+        return this.input(config);
+    }
+
+    /**
+     * Pick a number in a range on a slider track. ←/→ move by `step`,
+     * Shift+←/→ (or PgUp/PgDn) by `largeStep`, Home/End jump to the ends and
+     * typing a number jumps straight to it.
+     * @param {object} [options]
+     * @param {string} [options.message='Choose a value:']
+     * @param {number} [options.min=0]
+     * @param {number} [options.max=100]
+     * @param {number} [options.step=1]
+     * @param {number} [options.largeStep] - Shift+arrow step; defaults to a tenth of the range.
+     * @param {number} [options.default] - Starting value (default: min).
+     * @param {string} [options.unit=''] - Appended to the value, e.g. '%' or ' pods'.
+     * @param {Array<number|{value:number,label:string}>} [options.ticks] - Values labelled under the track.
+     * @param {number} [options.width=30] - Track width in columns.
+     * @param {AbortSignal} [options.signal] - Cancels the prompt when aborted.
+     * @param {number} [options.timeout] - Milliseconds to wait before resolving with the default.
+     * @returns {Promise<number>}
+     * @throws {PromptCancelledError} On Escape, Ctrl+C or abort.
+     * @throws {PromptTimeoutError} When the timeout expires and there is no default.
+     */
+    async slider(options = {}) {
+        const config = {
+            message: options.message || 'Choose a value:',
+            min: options.min ?? 0,
+            max: options.max ?? 100,
+            step: options.step || 1,
+            unit: options.unit || '',
+            width: options.width || 30,
+            ...options
+        };
+        config.largeStep = options.largeStep ||
+            Math.max(config.step, this.snapToStep(config, config.min + (config.max - config.min) / 10) - config.min);
+
+        const check = (value) => {
+            if (isNaN(value)) return 'Please enter a valid number';
+            if (value < config.min || value > config.max) {
+                return `Number must be between ${config.min} and ${config.max}`;
+            }
+            return true;
+        };
+
+        if (this.isNonInteractive()) {
+            const answer = await this.answerFromSource({ ...config, validate: (value) => check(Number(value)) });
+            return this.snapToStep(config, Number(answer));
+        }
+
+        return this.keypressPrompt(config, (prompt) => {
+            const theme = this.styling.getTheme();
+            let value = this.snapToStep(config, config.default ?? config.min);
+            let typed = '';
+            let error = '';
+
+            this.showPromptTitle(config);
+
+            return {
+                render: () => {
+                    const icon = this.config.enableIcons ? this.styling.icons.question + ' ' : '';
+                    const lines = [this.styling.hex(theme.primary)(icon + config.message) + prompt.countdown(), ''];
+
+                    const track = this.styling.createProgressBar(value - config.min, config.max - config.min, {
+                        width: config.width,
+                        showPercentage: false,
+                        showFraction: false
+                    });
+                    lines.push('  ' + track + ' ' + this.styling.hex(theme.primary)(value + config.unit));
+                    if (config.ticks) {
+                        lines.push('  ' + this.styling.hex(theme.muted)(this.sliderTicks(config)));
+                    }
+
+                    if (error) {
+                        lines.push('', this.styling.hex(theme.error)('❌ ' + error));
+                    }
+
+                    lines.push('', this.styling.hex(theme.muted)(
+                        `←/→ by ${config.step}, Shift+←/→ by ${config.largeStep}, type a number, Enter to confirm`
+                    ));
+
+                    if (!typed) return lines;
+
+                    const goTo = ' Go to: ' + typed;
+                    lines.push(goTo);
+                    return { lines, cursor: { line: lines.length - 1, column: Renderer.width(goTo) } };
+                },
+                keypress: (char, key) => {
+                    const name = key?.name;
+
+                    if (name === 'return' || name === 'enter') {
+                        if (typed) {
+                            const result = check(Number(typed));
+                            if (result !== true) {
+                                error = result;
+                                return;
+                            }
+                            value = this.snapToStep(config, Number(typed));
+                        }
+                        prompt.resolve(value);
+                        return;
+                    }
+
+                    if (name === 'backspace' && typed) {
+                        typed = typed.slice(0, -1);
+                    } else if (char && /^[\d.\-]$/.test(char)) {
+                        typed += char;
+                    } else {
+                        const large = key?.shift || name === 'pageup' || name === 'pagedown';
+                        const direction = { left: -1, down: -1, pagedown: -1, right: 1, up: 1, pageup: 1 }[name];
+                        if (direction) value = this.snapToStep(config, value + direction * (large ? config.largeStep : config.step));
+                        if (name === 'home') value = config.min;
+                        if (name === 'end') value = config.max;
+                        typed = '';
+                        error = '';
+                        return;
+                    }
+
+                    // Jump as soon as the typed text is a number in range
+                    const number = Number(typed);
+                    if (typed && check(number) === true) value = this.snapToStep(config, number);
+                    error = '';
+                },
+                escape: () => {
+                    if (!typed) return false;
+                    typed = '';
+                    error = '';
+                    return true;
+                },
+                summary: () => value + config.unit
+            };
+        });
+    }
+
+    /**
+     * Round a slider value to the nearest step from min and keep it in range,
+     * without floating point noise (0.1 + 0.2 stays 0.3).
+     * @private
+     */
+    snapToStep(config, value) {
+        const decimals = (String(config.step).split('.')[1] || '').length;
+        const snapped = config.min + Math.round((value - config.min) / config.step) * config.step;
+        return Number(Math.min(config.max, Math.max(config.min, snapped)).toFixed(decimals));
+    }
+
+    /**
+     * Tick label row for slider(), each label starting under its value's
+     * position on the track. Labels that would overlap the previous one are
+     * skipped.
+     * @private
+     */
+    sliderTicks(config) {
+        let row = '';
+        for (const tick of config.ticks) {
+            const value = typeof tick === 'object' ? tick.value : tick;
+            const label = String(typeof tick === 'object' ? tick.label ?? tick.value : tick);
+            const position = Math.round((value - config.min) / (config.max - config.min) * (config.width - 1));
+            const start = Math.min(position, config.width - label.length);
+            if (start > row.length || (row.length === 0 && start >= 0)) {
+                row = row.padEnd(start) + label;
+            }
+        }
+        return row;
+    }
+
+    /**
+     * Rate something from 1 to `max`, shown as stars or numbers. ←/→ (or
+     * ↑/↓) change the rating and number keys pick one directly.
+     * @param {object} [options]
+     * @param {string} [options.message='Your rating:']
+     * @param {number} [options.max=5]
+     * @param {'stars'|'numbers'} [options.style='stars']
+     * @param {string[]} [options.labels] - Label per rating, e.g. ['Poor', …, 'Excellent'].
+     * @param {number} [options.default] - Pre-selected rating.
+     * @param {AbortSignal} [options.signal] - Cancels the prompt when aborted.
+     * @param {number} [options.timeout] - Milliseconds to wait before resolving with the default.
+     * @returns {Promise<number>}
+     * @throws {PromptCancelledError} On Escape, Ctrl+C or abort.
+     * @throws {PromptTimeoutError} When the timeout expires and there is no default.
+     */
+    async rating(options = {}) {
+        const config = {
+            message: options.message || 'Your rating:',
+            max: options.max || 5,
+            style: options.style || 'stars',
+            ...options
+        };
+        const check = (value) => (Number.isInteger(value) && value >= 1 && value <= config.max) ||
+            `Rating must be a whole number from 1 to ${config.max}`;
+
+        if (this.isNonInteractive()) {
+            return Number(await this.answerFromSource({ ...config, validate: (value) => check(Number(value)) }));
+        }
+
+        return this.keypressPrompt(config, (prompt) => {
+            const theme = this.styling.getTheme();
+            let value = check(config.default) === true ? config.default : 0;
+            let error = '';
+
+            this.showPromptTitle(config);
+
+            return {
+                render: () => {
+                    const icon = this.config.enableIcons ? this.styling.icons.question + ' ' : '';
+                    const lines = [this.styling.hex(theme.primary)(icon + config.message) + prompt.countdown(), ''];
+
+                    const label = config.labels && config.labels[value - 1];
+                    lines.push('  ' + this.renderRating(config, value) +
+                        (label ? ' ' + this.styling.hex(theme.muted)(label) : ''));
+
+                    if (error) {
+                        lines.push('', this.styling.hex(theme.error)('❌ ' + error));
+                    }
+
+                    lines.push('', this.styling.hex(theme.muted)(
+                        `Use ←/→ or 1-${Math.min(config.max, 9)} to rate, Enter to confirm`
+                    ));
+                    return lines;
+                },
+                keypress: (char, key) => {
+                    const name = key?.name;
+                    const direction = { left: -1, down: -1, right: 1, up: 1 }[name];
+
+                    error = '';
+                    if (direction) {
+                        value = Math.min(config.max, Math.max(1, value + direction));
+                    } else if (name === 'home' || name === 'end') {
+                        value = name === 'home' ? 1 : config.max;
+                    } else if (char && /^\d$/.test(char)) {
+                        // 0 stands for 10 on a ten-point scale
+                        const number = char === '0' ? 10 : Number(char);
+                        if (number <= config.max) value = number;
+                    } else if (name === 'return' || name === 'enter') {
+                        if (value === 0) {
+                            error = 'Please choose a rating';
+                            return;
+                        }
+                        prompt.resolve(value);
+                    }
+                },
+                summary: () => config.style === 'stars' ? this.renderRating(config, value) : `${value}/${config.max}`
+            };
+        });
+    }
+
+    /**
+     * Stars (★★★☆☆) or a number row with the current rating bracketed.
+     * @private
+     */
+    renderRating(config, value) {
+        const theme = this.styling.getTheme();
+
+        if (config.style === 'stars') {
+            return this.styling.hex(theme.secondary)(this.styling.icons.star.repeat(value)) +
+                this.styling.hex(theme.muted)(this.styling.icons.star_empty.repeat(config.max - value));
+        }
+
+        return Array.from({ length: config.max }, (_, i) => i + 1 === value ?
+            this.styling.hex(theme.primary)(`[${i + 1}]`) : ` ${i + 1} `
+        ).join('');
+    }
+
+    /**
+     * Answer several statements on one shared agreement scale. ↑/↓ move
+     * between statements, ←/→ across the scale; Space or a number key
+     * answers the current statement and moves to the next.
+     * @param {object} [options]
+     * @param {string} [options.message='Rate each statement:']
+     * @param {Array<string|{name:string,message?:string}>} [options.statements=[]] - Statements,
+     *   keyed in the result by the string itself or by `name`.
+     * @param {Array<string|{name:string,value?:any}>} [options.scale] - Scale points, Strongly
+     *   disagree … Strongly agree by default. Plain strings answer with their position (1..N).
+     * @param {object} [options.default] - Pre-selected answers keyed like the result.
+     * @param {boolean} [options.required=true] - Every statement must be answered; otherwise
+     *   unanswered statements resolve to null.
+     * @param {AbortSignal} [options.signal] - Cancels the prompt when aborted.
+     * @param {number} [options.timeout] - Milliseconds to wait before resolving with the default.
+     * @returns {Promise<object>} Answers keyed by statement.
+     * @throws {PromptCancelledError} On Escape, Ctrl+C or abort.
+     * @throws {PromptTimeoutError} When the timeout expires and there is no default.
+     */
+    async likert(options = {}) {
+        const config = {
+            message: options.message || 'Rate each statement:',
+            statements: options.statements || [],
+            scale: options.scale || ['Strongly disagree', 'Disagree', 'Neutral', 'Agree', 'Strongly agree'],
+            required: options.required ?? true,
+            ...options
+        };
+        const statements = config.statements.map(statement => typeof statement === 'object' ?
+            { key: statement.name, text: statement.message || statement.name } : { key: statement, text: statement }
+        );
+        const scale = config.scale.map((point, index) => typeof point === 'object' ?
+            { name: point.name, value: point.value ?? point.name } : { name: point, value: index + 1 }
+        );
+        const collect = (picked) => Object.fromEntries(statements.map((statement, row) =>
+            [statement.key, picked[row] === -1 ? null : scale[picked[row]].value]
+        ));
+        const scaleIndex = (answer) => scale.findIndex(point =>
+            String(point.value) === String(answer) || point.name === answer
+        );
+        const initial = (source) => statements.map(statement =>
+            source && source[statement.key] !== undefined ? scaleIndex(source[statement.key]) : -1
+        );
+
+        if (this.isNonInteractive()) {
+            return this.answerLikertFromSource(config, statements, scale, scaleIndex, collect);
+        }
+
+        return this.keypressPrompt(config, (prompt) => {
+            const theme = this.styling.getTheme();
+            const picked = initial(config.default);
+            let row = 0;
+            let column = Math.max(0, picked[0]);
+            let error = '';
+
+            const textWidth = Math.max(...statements.map(statement => Renderer.width(statement.text)), 0);
+            const answer = (index) => {
+                picked[row] = index;
+                error = '';
+                if (row < statements.length - 1) row++;
+                column = picked[row] !== -1 ? picked[row] : index;
+            };
+
+            this.showPromptTitle(config);
+
+            return {
+                render: () => {
+                    const icon = this.config.enableIcons ? this.styling.icons.question + ' ' : '';
+                    const muted = this.styling.hex(theme.muted);
+                    const lines = [this.styling.hex(theme.primary)(icon + config.message) + prompt.countdown(), ''];
+
+                    lines.push(muted(' '.repeat(textWidth + 2) + scale.map((_, i) => String(i + 1).padStart(2).padEnd(4)).join('')));
+                    statements.forEach((statement, index) => {
+                        const active = index === row;
+                        const cells = scale.map((_, i) => {
+                            const mark = picked[index] === i ?
+                                this.styling.icons.radio_selected : this.styling.icons.radio_unselected;
+                            if (active && i === column) return this.styling.hex(theme.primary)(`[${mark}]`) + ' ';
+                            return ` ${picked[index] === i ? this.styling.hex(theme.primary)(mark) : muted(mark)}  `;
+                        }).join('');
+                        const text = statement.text + ' '.repeat(textWidth - Renderer.width(statement.text));
+                        lines.push((active ? this.styling.hex(theme.primary)('→ ' + text) : '  ' + text) + cells.replace(/\s+$/, ''));
+                    });
+
+                    lines.push('', muted(scale.map((point, i) => `${i + 1} ${point.name}`).join(' · ')));
+
+                    if (error) {
+                        lines.push('', this.styling.hex(theme.error)('❌ ' + error));
+                    }
+
+                    lines.push('', muted(`Use ↑/↓ and ←/→ to move, Space or 1-${Math.min(scale.length, 9)} to answer, Enter to confirm`));
+                    return lines;
+                },
+                keypress: (char, key) => {
+                    const name = key?.name;
+
+                    if (name === 'up' || name === 'down') {
+                        row = Math.min(statements.length - 1, Math.max(0, row + (name === 'up' ? -1 : 1)));
+                        if (picked[row] !== -1) column = picked[row];
+                    } else if (name === 'left' || name === 'right') {
+                        column = Math.min(scale.length - 1, Math.max(0, column + (name === 'left' ? -1 : 1)));
+                    } else if (name === 'space') {
+                        answer(column);
+                    } else if (char && /^[1-9]$/.test(char) && Number(char) <= scale.length) {
+                        answer(Number(char) - 1);
+                    } else if (name === 'return' || name === 'enter') {
+                        const missing = picked.indexOf(-1);
+                        if (config.required && missing !== -1) {
+                            error = 'Please answer every statement';
+                            row = missing;
+                            return;
+                        }
+                        prompt.resolve(collect(picked));
+                    }
+                },
+                expire: () => {
+                    if (config.default === undefined) {
+                        prompt.reject(new PromptTimeoutError(this.promptKey(config), config.timeout));
+                        return;
+                    }
+                    prompt.resolve(collect(initial(config.default)));
+                },
+                summary: (value) => {
+                    const answered = Object.values(value).filter(item => item !== null).length;
+                    return `${answered}/${statements.length} answered`;
+                }
+            };
+        });
+    }
+
+    /**
+     * Answer likert() without the terminal. Takes an object (or its JSON)
+     * keyed by statement, with scale values or names.
+     * @private
+     */
+    answerLikertFromSource(config, statements, scale, scaleIndex, collect) {
+        const key = this.promptKey(config);
+        let answer = this.lookupAnswer(config);
+
+        if (answer === undefined) {
+            answer = config.default;
+        }
+        if (answer === undefined) {
+            throw new MissingAnswerError(key);
+        }
+        if (typeof answer === 'string') {
+            try {
+                answer = JSON.parse(answer);
+            } catch (error) {
+                throw new InvalidAnswerError(key, 'Expected a JSON object keyed by statement');
+            }
+        }
+
+        const picked = statements.map(statement => {
+            const value = answer[statement.key];
+            if (value === undefined || value === null) {
+                if (config.required) throw new InvalidAnswerError(key, `No answer for "${statement.key}"`);
+                return -1;
+            }
+            const index = scaleIndex(value);
+            if (index === -1) {
+                const valid = scale.map(point => point.value).join(', ');
+                throw new InvalidAnswerError(key, `"${value}" is not one of: ${valid}`);
+            }
+            return index;
+        });
+
+        return collect(picked);
+    }
+
+    /**
+     * Select a single option from a list. Supports optional search.
+     * @param {object} [options]
+     * @param {string} [options.message='Select an option:']
+     * @param {Choice[]|(()=>Promise<Choice[]>)} [options.choices=[]] - Choices, or a (possibly
+     *   async) function returning them; a spinner is shown while it loads.
+     * @param {any} [options.default]
+     * @param {boolean} [options.searchable=false]
+     * @param {number} [options.pageSize=10] - Choices shown at once; the list scrolls with the cursor.
+     * @param {number} [options.debounce=200] - Searchable only: milliseconds to wait after typing
+     *   before calling a choices function again with the query.
+     * @param {Array<'name'|'value'|'description'>} [options.searchFields=['name']] - Searchable only:
+     *   choice fields the fuzzy search matches against. Results are ranked best match first.
+     * @param {AbortSignal} [options.signal] - Cancels the prompt when aborted.
+     * @param {number} [options.timeout] - Milliseconds to wait before resolving with the default.
+     * @returns {Promise<any>} The selected value (or name).
+     * @throws {PromptCancelledError} On Escape, q, Ctrl+C or abort.
+     * @throws {PromptTimeoutError} When the timeout expires and there is no default.
+     */
+    async select(options = {}) {
+        const config = {
+            message: options.message || 'Select an option:',
+            choices: options.choices || [],
+            default: options.default,
+            searchable: options.searchable || false,
+            pageSize: options.pageSize || 10,
+            ...options
+        };
+
+        if (this.isNonInteractive()) {
+            return this.answerSelectFromSource(await this.resolveChoices(config));
+        }
+
+        if (config.searchable) {
+            return this.searchableSelect(config);
+        }
+
+        return this.keypressPrompt(config, (prompt) => {
+            const theme = this.styling.getTheme();
+            // Nothing is highlighted until the choices have loaded
+            let selectedIndex = -1;
+
+            const loader = this.choiceLoader(config.choices, prompt, (choices) => {
+                const defaultIndex = choices.findIndex(c => this.isSelectable(c) &&
+                    config.default !== undefined && (c.value === config.default || c.name === config.default)
+                );
+                selectedIndex = defaultIndex !== -1 ? defaultIndex : this.firstSelectable(choices);
+            });
+            const choices = () => loader.choices;
+            const pageSize = () => this.visibleRows(config, 6);
+            let top = 0;
+
+            this.showPromptTitle(config);
+
+            return {
+                render: () => {
+                    const icon = this.config.enableIcons ? this.styling.icons.question + ' ' : '';
+                    const lines = [this.styling.hex(theme.primary)(icon + config.message) + prompt.countdown(), ''];
+
+                    if (loader.status !== 'ready') {
+                        lines.push(loader.statusLine());
+                        return lines;
+                    }
+
+                    top = this.scrollTop(top, selectedIndex, pageSize(), choices().length);
+                    lines.push(...this.renderWindow(choices(), top, pageSize(), (choice, index) =>
+                        this.renderChoice(choice, index === selectedIndex)
+                    ));
+                    lines.push(...this.choiceDescription(choices()[selectedIndex]));
+
+                    lines.push('', this.styling.hex(theme.muted)('Use ↑/↓ to navigate, Enter to select'));
+                    return lines;
+                },
+                keypress: (char, key) => {
+                    if (key?.name === 'q') {
+                        prompt.cancel('escape');
+                        return;
+                    }
+                    if (loader.status !== 'ready' || selectedIndex === -1) return;
+
+                    const moved = this.navigateList(key?.name, selectedIndex, choices().length, pageSize(),
+                        (index) => this.isSelectable(choices()[index]));
+                    if (moved !== null) {
+                        selectedIndex = moved;
+                    } else if (key?.name === 'return') {
+                        prompt.resolve(choices()[selectedIndex].value || choices()[selectedIndex].name);
+                    }
+                },
+                summary: (value) => choices()[selectedIndex] ? choices()[selectedIndex].name : this.formatAnswer(value),
+                dispose: loader.dispose
+            };
+        });
+    }
+
+    /**
+     * Internal implementation of the searchable variant of select().
+     * @private
+     */
+    // Searchable select implementation
+    async searchableSelect(config) {
+        return this.keypressPrompt(config, (prompt) => {
+            const theme = this.styling.getTheme();
+            const remote = typeof config.choices === 'function';
+            const searchFields = config.searchFields || ['name'];
+            let selectedIndex = 0;
+            let query = '';
+
+            let submitting = false;
+
+            // Each loaded list starts on its first choice; an Enter pressed while loading picks it
+            const loader = this.choiceLoader(config.choices, prompt, (choices) => {
+                selectedIndex = this.firstSelectable(choices);
+                if (submitting) submit();
+            });
+
+            // Fuzzy-rank local choices; remote results keep the server's order
+            const getFiltered = () => {
+                const matches = loader.choices.map((choice, index) => ({
+                    choice,
+                    index,
+                    ...this.matchChoice(query, choice, searchFields)
+                }));
+                if (!query || remote) return matches;
+                return matches
+                    .filter(match => match.score !== null && !match.choice.separator)
+                    .sort((a, b) => b.score - a.score || a.index - b.index);
+            };
+
+            const pageSize = () => this.visibleRows(config, 6);
+            let top = 0;
+
+            const search = () => {
+                submitting = false;
+                selectedIndex = this.firstSelectable(getFiltered().map(match => match.choice));
+                if (remote) loader.search(query, config.debounce ?? 200);
+            };
+
+            let chosen = null;
+            const submit = () => {
+                const filtered = getFiltered();
+                chosen = selectedIndex !== -1 ? filtered[selectedIndex].choice : null;
+                prompt.resolve(chosen ? (chosen.value ?? chosen.name) : null);
+            };
+
+            this.showPromptTitle(config);
+
+            return {
+                render: () => {
+                    const icon = this.config.enableIcons ? this.styling.icons.question + ' ' : '';
+                    const lines = [
+                        this.styling.hex(theme.primary)(icon + (config.message || 'Select an option:')) + prompt.countdown(),
+                        this.styling.hex(theme.muted)('Type to search, ↑/↓ navigate, Enter select, Esc cancel'),
+                        this.styling.hex(theme.info)(`Search: ${query || ''}`),
+                        ''
+                    ];
+
+                    if (loader.status !== 'ready') {
+                        lines.push(loader.statusLine());
+                    }
+                    if (loader.status === 'error') {
+                        return lines;
+                    }
+
+                    const filtered = getFiltered();
+                    if (filtered.length === 0 && loader.status === 'ready') {
+                        lines.push(this.styling.hex(theme.muted)('No matches'));
+                    }
+
+                    top = this.scrollTop(top, selectedIndex, pageSize(), filtered.length);
+                    lines.push(...this.renderWindow(filtered, top, pageSize(), ({ choice, positions }, index) =>
+                        this.renderChoice(choice, index === selectedIndex, { positions })
+                    ));
+                    if (filtered[selectedIndex]) {
+                        lines.push(...this.choiceDescription(filtered[selectedIndex].choice));
+                    }
+
+                    return lines;
+                },
+                keypress: (char, key) => {
+                    const filtered = getFiltered();
+                    const moved = selectedIndex !== -1 ? this.navigateList(key?.name, selectedIndex, filtered.length, pageSize(),
+                        (index) => this.isSelectable(filtered[index].choice)) : null;
+                    if (moved !== null) {
+                        selectedIndex = moved;
+                        return;
+                    }
+
+                    switch (key?.name) {
+                        case 'backspace':
+                            query = query.slice(0, -1);
+                            search();
+                            break;
+                        case 'return':
+                            // Pick from the results for what was typed, not the list still showing
+                            if (loader.pending()) {
+                                submitting = true;
+                                loader.flush();
+                                return;
+                            }
+                            if (loader.status === 'ready') submit();
+                            break;
+                        default:
+                            if (char && char.length === 1 && !key?.ctrl && !key?.meta) {
+                                query += char;
+                                search();
+                            }
+                    }
+                },
+                summary: () => chosen ? chosen.name : '',
+                dispose: loader.dispose
+            };
+        });
+    }
+
+    /**
+     * Choose multiple options via space to toggle and enter to confirm.
+     *
+     * `a`, `n` and `i` select all, none or invert the (filtered) choices, and
+     * `/` starts filtering as you type (Enter keeps the filter, Escape clears
+     * it). A choice with its own `choices` array is a group: Space toggles all
+     * of its children, ←/→ collapse and expand it, and its marker shows
+     * whether all, none or some children are checked.
+     * @param {object} [options]
+     * @param {string} [options.message]
+     * @param {Array<Choice & {checked?:boolean, choices?:Choice[], collapsed?:boolean}>|(()=>Promise<Choice[]>)} [options.choices=[]] - Choices,
+     *   or a (possibly async) function returning them; a spinner is shown while it loads.
+     * @param {any[]} [options.default] - Values (or names) checked at the start.
+     * @param {(selected:any[])=>true|string} [options.validate]
+     * @param {number} [options.min=0]
+     * @param {number} [options.max]
+     * @param {number} [options.pageSize=10] - Choices shown at once; the list scrolls with the cursor.
+     * @param {AbortSignal} [options.signal] - Cancels the prompt when aborted.
+     * @returns {Promise<any[]>} Array of selected values or names.
+     * @throws {PromptCancelledError} On Escape, Ctrl+C or abort.
+     */
+    async multiselect(options = {}) {
+        const config = {
+            message: options.message || 'Select options (space to toggle, enter to confirm):',
+            choices: options.choices || [],
+            validate: options.validate,
+            min: options.min || 0,
+            max: options.max,
+            pageSize: options.pageSize || 10,
+            ...options
+        };
+
+        if (this.isNonInteractive()) {
+            const resolved = await this.resolveChoices(config);
+            return this.answerMultiselectFromSource({ ...resolved, choices: this.flattenChoices(resolved.choices) });
+        }
+
+        return this.keypressPrompt(config, (prompt) => {
+            const theme = this.styling.getTheme();
+            const muted = this.styling.hex(theme.muted);
+            let items = [];
+            let current = null;
+            let query = '';
+            let filtering = false;
+            const preset = Array.isArray(config.default) ? config.default : [];
+
+            const loader = this.choiceLoader(config.choices, prompt, (loaded) => {
+                items = loaded.map(entry => Array.isArray(entry.choices) ? {
+                    ...entry,
+                    group: true,
+                    collapsed: Boolean(entry.collapsed),
+                    children: entry.choices.map(child => ({ ...child, checked: child.checked || preset.includes(child.value || child.name) }))
+                } : {
+                    ...entry,
+                    checked: entry.checked || preset.includes(entry.value || entry.name)
+                });
+                current = null;
+            });
+
+            const leaves = () => items.flatMap(item => item.group ? item.children : [item]).filter(c => !c.separator);
+            const checkedChoices = () => leaves().filter(c => c.checked);
+            const matches = (choice) => !query || this.fuzzyMatch(query, String(choice.name)) !== null;
+
+            // Visible rows: groups with their children unless collapsed (filtering expands them)
+            const rows = () => {
+                const list = [];
+                for (const item of items) {
+                    if (item.separator) {
+                        if (!query) list.push({ item, depth: 0 });
+                    } else if (item.group) {
+                        const children = item.children.filter(child => child.separator ? !query : matches(child));
+                        if (query && !children.some(child => !child.separator)) continue;
+                        list.push({ item, depth: 0 });
+                        if (!item.collapsed || query) {
+                            children.forEach(child => list.push({ item: child, depth: 1, parent: item }));
+                        }
+                    } else if (matches(item)) {
+                        list.push({ item, depth: 0 });
+                    }
+                }
+                return list;
+            };
+
+            // The cursor follows its choice as rows appear and disappear
+            const cursorIndex = (list) => {
+                let index = list.findIndex(row => row.item === current);
+                if (index === -1 || !this.isSelectable(current)) {
+                    index = this.firstSelectable(list.map(row => row.item));
+                    current = index === -1 ? null : list[index].item;
+                }
+                return index;
+            };
+
+            const groupState = (group) => {
+                const children = group.children.filter(child => !child.separator);
+                const checked = children.filter(child => child.checked).length;
+                return { checked, total: children.length };
+            };
+
+            // Bulk operations act on every choice matching the filter, collapsed or not
+            const targets = () => leaves().filter(choice => this.isSelectable(choice) && matches(choice));
+            const bulk = {
+                a: () => targets().forEach(choice => { choice.checked = true; }),
+                n: () => targets().forEach(choice => { choice.checked = false; }),
+                i: () => targets().forEach(choice => { choice.checked = !choice.checked; })
+            };
+
+            const toggle = (item) => {
+                if (!item.group) {
+                    item.checked = !item.checked;
+                    return;
+                }
+                const children = item.children.filter(child => this.isSelectable(child));
+                const checkAll = !children.every(child => child.checked);
+                children.forEach(child => { child.checked = checkAll; });
+            };
+
+            const pageSize = () => this.visibleRows(config, 10);
+            let top = 0;
+            let error = null;
+
+            return {
+                render: () => {
+                    const icon = this.config.enableIcons ? this.styling.icons.question + ' ' : '';
+                    const lines = [this.styling.hex(theme.primary)(icon + config.message) + prompt.countdown(), ''];
+
+                    if (loader.status !== 'ready') {
+                        lines.push(loader.statusLine());
+                        return lines;
+                    }
+
+                    let filterLine = -1;
+                    if (filtering || query) {
+                        filterLine = 1;
+                        lines.splice(1, 0, this.styling.hex(theme.info)(`Filter: ${query}`));
+                    }
+
+                    const list = rows();
+                    const index = cursorIndex(list);
+                    if (list.length === 0) {
+                        lines.push(muted('No matches'));
+                    }
+
+                    top = this.scrollTop(top, index, pageSize(), list.length);
+                    lines.push(...this.renderWindow(list, top, pageSize(), ({ item, depth }, row) => {
+                        if (item.group) {
+                            const { checked, total } = groupState(item);
+                            const marker = checked === 0 ? this.styling.icons.unchecked :
+                                checked === total ? this.styling.icons.checked : this.styling.icons.partial;
+                            const arrow = item.collapsed && !query ? this.styling.icons.collapsed : this.styling.icons.expanded;
+                            return this.renderChoice({ ...item, name: `${arrow} ${item.name}`, hint: item.hint || `${checked}/${total}` },
+                                row === index, { marker });
+                        }
+                        const checkbox = item.checked ?
+                            this.styling.icons.checked : this.styling.icons.unchecked;
+                        return this.renderChoice(item, row === index, { marker: checkbox, indent: depth });
+                    }));
+                    lines.push(...this.choiceDescription(current));
+
+                    const selectedCount = checkedChoices().length;
+                    lines.push('', muted(`Selected: ${selectedCount}`));
+                    if (error) {
+                        lines.push(this.styling.hex(theme.error)(error));
+                    }
+                    lines.push(muted(filtering ?
+                        'Type to filter, ↑/↓ navigate, Enter done, Esc clear' :
+                        'Use ↑/↓ to navigate, Space to toggle, Enter to confirm'));
+                    if (!filtering) {
+                        const groupHint = items.some(item => item.group) ? ' · ←/→ collapse/expand' : '';
+                        lines.push(muted('a all · n none · i invert · / filter' + groupHint));
+                    }
+
+                    if (filtering) {
+                        return { lines, cursor: { line: filterLine, column: Renderer.width(`Filter: ${query}`) } };
+                    }
+                    return lines;
+                },
+                keypress: (char, key) => {
+                    error = null;
+                    if (loader.status !== 'ready') return;
+
+                    const list = rows();
+                    const index = cursorIndex(list);
+                    const moved = index !== -1 ? this.navigateList(key?.name, index, list.length, pageSize(),
+                        (row) => this.isSelectable(list[row].item)) : null;
+                    if (moved !== null) {
+                        current = list[moved].item;
+                        return;
+                    }
+
+                    if (filtering) {
+                        if (key?.name === 'return' || key?.name === 'enter') {
+                            filtering = false;
+                        } else if (key?.name === 'backspace') {
+                            if (!query) filtering = false;
+                            query = query.slice(0, -1);
+                        } else if (char && char >= ' ' && !key?.ctrl && !key?.meta) {
+                            query += char;
+                        }
+                        return;
+                    }
+
+                    const row = list[index];
+                    switch (key?.name) {
+                        case 'space':
+                            if (row) toggle(row.item);
+                            return;
+                        case 'right':
+                            if (row && row.item.group) row.item.collapsed = false;
+                            return;
+                        case 'left':
+                            if (row && row.item.group) {
+                                row.item.collapsed = true;
+                            } else if (row && row.parent) {
+                                row.parent.collapsed = true;
+                                current = row.parent;
+                            }
+                            return;
+                        case 'return':
+                            const selected = checkedChoices();
+
+                            // Validation
+                            const validationResult = this.validateSelection(config, selected.map(choice => choice.value || choice.name));
+                            if (validationResult !== true) {
+                                error = validationResult;
+                                return;
+                            }
+
+                            prompt.resolve(selected.map(choice => choice.value || choice.name));
+                            return;
+                    }
+
+                    if (char === '/') {
+                        filtering = true;
+                    } else if (bulk[char] && !key?.ctrl && !key?.meta) {
+                        bulk[char]();
+                    }
+                },
+                escape: () => {
+                    if (!filtering && !query) return false;
+                    filtering = false;
+                    query = '';
+                    return true;
+                },
+                summary: () => checkedChoices().map(c => c.name).join(', '),
+                dispose: loader.dispose
+            };
+        });
+    }
+
+    /**
+     * Check a multiselect selection against min/max and the validate option.
+     * @private
+     * @returns {true|string} true when valid, otherwise the error message.
+     */
+    validateSelection(config, selected) {
+        if (selected.length < config.min) {
+            return `Please select at least ${config.min} options`;
+        }
+
+        if (config.max && selected.length > config.max) {
+            return `Please select at most ${config.max} options`;
+        }
+
+        if (config.validate && typeof config.validate === 'function') {
+            return config.validate(selected);
+        }
+
+        return true;
+    }
+
+    /**
+     * Put a list in order. Space picks up the highlighted item, ↑/↓ (or
+     * Home/End) carry it and Space drops it again; Enter confirms the order.
+     * Separators are ignored and disabled choices cannot be picked up.
+     * @param {object} [options]
+     * @param {string} [options.message='Put these in order:']
+     * @param {Choice[]|(()=>Promise<Choice[]>)} [options.choices=[]] - Items in their starting order.
+     * @param {boolean} [options.numbered=true] - Show each item's position.
+     * @param {number} [options.pageSize=10] - Items shown at once; the list scrolls with the cursor.
+     * @param {AbortSignal} [options.signal] - Cancels the prompt when aborted.
+     * @param {any[]|string} [options.default] - Order to resolve with when the timeout expires:
+     *   every item's value (or name) once, as an array or comma-separated string.
+     * @param {number} [options.timeout] - Milliseconds to wait before resolving with the default.
+     * @returns {Promise<any[]>} Values (or names) in the chosen order.
+     * @throws {PromptCancelledError} On Escape, Ctrl+C or abort.
+     * @throws {PromptTimeoutError} When the timeout expires and there is no default.
+     */
+    async sort(options = {}) {
+        const config = {
+            message: options.message || 'Put these in order:',
+            choices: options.choices || [],
+            numbered: options.numbered ?? true,
+            pageSize: options.pageSize || 10,
+            ...options
+        };
+
+        if (this.isNonInteractive()) {
+            return this.answerSortFromSource(await this.resolveChoices(config));
+        }
+
+        return this.keypressPrompt(config, (prompt) => {
+            const theme = this.styling.getTheme();
+            let items = [];
+            let cursor = 0;
+            let held = false;
+            let top = 0;
+            let expired = false;
+
+            const values = () => items.map(choice => choice.value || choice.name);
+            // Timed out: resolve with the default order, once the items are there to apply it to
+            const finish = () => {
+                try {
+                    if (config.default !== undefined) {
+                        items = this.orderItems(config, items, config.default);
+                    }
+                    prompt.resolve(values());
+                } catch (error) {
+                    prompt.reject(error);
+                }
+            };
+            const loader = this.choiceLoader(config.choices, prompt, (choices) => {
+                items = choices.filter(choice => !choice.separator);
+                cursor = 0;
+                if (expired) finish();
+            });
+            const pageSize = () => this.visibleRows(config, 6);
+
+            this.showPromptTitle(config);
+
+            return {
+                render: () => {
+                    const icon = this.config.enableIcons ? this.styling.icons.question + ' ' : '';
+                    const lines = [this.styling.hex(theme.primary)(icon + config.message) + prompt.countdown(), ''];
+
+                    if (loader.status !== 'ready') {
+                        lines.push(loader.statusLine());
+                        return lines;
+                    }
+
+                    const digits = String(items.length).length;
+                    top = this.scrollTop(top, cursor, pageSize(), items.length);
+                    lines.push(...this.renderWindow(items, top, pageSize(), (choice, index) => {
+                        const grip = index === cursor && held ? '↕' : ' ';
+                        const number = config.numbered ? ' ' + `${index + 1}.`.padStart(digits + 1) : '';
+                        return this.renderChoice(choice, index === cursor, { marker: grip + number });
                     }));
-                    console.log();
+                    lines.push(...this.choiceDescription(items[cursor]));
+
+                    lines.push('', this.styling.hex(theme.muted)(held ?
+                        'Use ↑/↓ to move the item, Space to drop it, Enter to confirm' :
+                        'Use ↑/↓ to navigate, Space to pick up an item, Enter to confirm'));
+                    return lines;
+                },
+                keypress: (char, key) => {
+                    const name = key?.name;
+                    if (items.length === 0) return;
+
+                    if (name === 'space') {
+                        held = !held && !items[cursor].disabled;
+                    } else if (name === 'return' || name === 'enter') {
+                        prompt.resolve(values());
+                    } else if (held) {
+                        const target = { up: cursor - 1, down: cursor + 1, home: 0, end: items.length - 1 }[name];
+                        if (target !== undefined && target >= 0 && target < items.length) {
+                            const [item] = items.splice(cursor, 1);
+                            items.splice(target, 0, item);
+                            cursor = target;
+                        }
+                    } else {
+                        const moved = this.navigateList(name, cursor, items.length, pageSize());
+                        if (moved !== null) cursor = moved;
+                    }
+                },
+                expire: () => {
+                    if (loader.status === 'ready') finish();
+                    else expired = true;
+                },
+                summary: () => items.map(choice => choice.name).join(', '),
+                dispose: loader.dispose
+            };
+        });
+    }
+
+    /**
+     * Alias of sort(), for ranking prompts.
+     * @param {object} [options] - Same options as sort().
+     * @returns {Promise<any[]>}
+     */
+    async rank(options = {}) {
+        return this.sort({ message: 'Rank these:', ...options });
+    }
+
+    /**
+     * Answer sort() without the terminal. Accepts an array or a
+     * comma-separated string naming every item once; falls back to default,
+     * then the starting order.
+     * @private
+     */
+    answerSortFromSource(config) {
+        const items = config.choices.filter(choice => !choice.separator);
+        let answer = this.lookupAnswer(config);
+
+        if (answer === undefined) {
+            answer = config.default;
+        }
+        if (answer === undefined) {
+            return items.map(choice => choice.value || choice.name);
+        }
+
+        return this.orderItems(config, items, answer).map(choice => choice.value || choice.name);
+    }
+
+    /**
+     * Put sort() items in the order an answer gives: an array or a
+     * comma-separated string naming every item once.
+     * @private
+     * @throws {InvalidAnswerError} When an item is missing, unknown or repeated.
+     */
+    orderItems(config, items, answer) {
+        const order = Array.isArray(answer) ?
+            answer : String(answer).split(',').map(item => item.trim()).filter(Boolean);
+        const picked = order.map(item => items.find(choice =>
+            String(choice.value ?? choice.name) === String(item) || choice.name === item
+        ));
+
+        if (picked.includes(undefined) || new Set(picked).size !== items.length) {
+            const valid = items.map(choice => choice.value ?? choice.name).join(', ');
+            throw new InvalidAnswerError(this.promptKey(config), `Expected each of ${valid} exactly once`);
+        }
+
+        return picked;
+    }
+
+    /**
+     * Ask for a yes/no confirmation.
+     * @param {object} [options]
+     * @param {string} [options.message='Confirm?']
+     * @param {boolean} [options.default=true]
+     * @param {AbortSignal} [options.signal] - Cancels the prompt when aborted.
+     * @param {number} [options.timeout] - Milliseconds to wait before answering with the default.
+     * @returns {Promise<boolean>} true for yes, false for no.
+     * @throws {PromptCancelledError} On Escape, Ctrl+C or abort.
+     */
+    async confirm(options = {}) {
+        const config = {
+            message: options.message || 'Confirm?',
+            default: options.default !== undefined ? options.default : true,
+            ...options
+        };
+
+        if (this.isNonInteractive()) {
+            const answer = this.lookupAnswer(config);
+            if (answer === undefined) return config.default;
+            if (typeof answer === 'boolean') return answer;
+        }
+
+        const theme = this.styling.getTheme();
+        const defaultText = config.default ? '[Y/n]' : '[y/N]';
+
+        const answer = await this.input({
+            name: this.promptKey(config),
+            message: config.message + ' ' + this.styling.hex(theme.muted)(defaultText),
+            signal: config.signal,
+            timeout: config.timeout,
+            back: config.back,
+            // An empty answer (or a timeout) falls through to config.default in transform
+            default: '',
+            validate: (value) => {
+                const lower = value.toLowerCase();
+                if (value === '' || ['y', 'yes', 'n', 'no'].includes(lower)) {
+                    return true;
+                }
+                return 'Please enter y/yes or n/no';
+            },
+            transform: (value) => {
+                if (value === '') return config.default;
+                const lower = value.toLowerCase();
+                return ['y', 'yes'].includes(lower);
+            }
+        });
+
+        return answer;
+    }
+
+    /**
+     * Pick a date (and optionally a time) on a calendar grid. Arrow keys move
+     * by day/week, PageUp/PageDown by month; with `time: true`, Tab moves to
+     * the hour/minute editor where ↑/↓ change the focused segment. Typing
+     * jumps straight to a date: "today", "tomorrow", "yesterday", "now",
+     * offsets like "+3d" / "-2w" (h, d, w, m = months, y), or "2026-12-24"
+     * (optionally followed by " 14:30").
+     * @param {object} [options]
+     * @param {string} [options.message='Pick a date:']
+     * @param {Date|string|number} [options.default] - Starting date (default: today).
+     * @param {Date|string|number} [options.min] - Earliest selectable date.
+     * @param {Date|string|number} [options.max] - Latest selectable date.
+     * @param {boolean} [options.time=false] - Also pick hours and minutes.
+     * @param {number} [options.minuteStep=1] - Minutes added/removed per ↑/↓ on the minute segment.
+     * @param {'date'|'iso'|'epoch'} [options.output='date'] - Resolve with a Date, an ISO string
+     *   ('YYYY-MM-DD' without time, full ISO timestamp with it) or epoch milliseconds.
+     * @param {number} [options.weekStart=1] - First column of the grid: 0 = Sunday, 1 = Monday.
+     * @param {string} [options.locale='en-US'] - Locale for month and weekday names.
+     * @param {(date:Date)=>true|string|Promise<true|string>} [options.validate]
+     * @param {AbortSignal} [options.signal] - Cancels the prompt when aborted.
+     * @param {number} [options.timeout] - Milliseconds to wait before resolving with the default.
+     * @returns {Promise<Date|string|number>} The picked date in the requested output format.
+     * @throws {PromptCancelledError} On Escape, Ctrl+C or abort.
+     * @throws {PromptTimeoutError} When the timeout expires and there is no default.
+     */
+    async date(options = {}) {
+        const config = {
+            message: options.message || 'Pick a date:',
+            time: options.time || false,
+            minuteStep: options.minuteStep || 1,
+            output: options.output || 'date',
+            weekStart: options.weekStart ?? 1,
+            locale: options.locale || 'en-US',
+            ...options
+        };
+        const bounds = this.dateBounds(config);
+
+        if (this.isNonInteractive()) {
+            return this.answerDateFromSource(config, bounds);
+        }
+
+        return this.keypressPrompt(config, (prompt) => {
+            const theme = this.styling.getTheme();
+            const muted = this.styling.hex(theme.muted);
+            let cursor = this.clampDate(this.toDate(config.default, config) || this.toDate('now', config), bounds);
+            let focus = 'calendar';
+            let typed = '';
+            let error = '';
+
+            const move = (date) => {
+                cursor = this.clampDate(date, bounds);
+                error = '';
+            };
+            const confirm = async () => {
+                const result = await this.checkDate(config, cursor, bounds);
+                if (result !== true) {
+                    error = result;
+                    prompt.render();
+                    return;
+                }
+                prompt.resolve(this.dateOutput(cursor, config));
+            };
+
+            this.showPromptTitle(config);
+
+            return {
+                render: () => {
+                    const icon = this.config.enableIcons ? this.styling.icons.question + ' ' : '';
+                    const lines = [this.styling.hex(theme.primary)(icon + config.message) + prompt.countdown(), ''];
+
+                    lines.push(...this.renderCalendar(config, cursor, bounds));
+
+                    if (config.time) {
+                        const segment = (value, name) => {
+                            const text = String(value).padStart(2, '0');
+                            return focus === name ? this.styling.hex(theme.primary)(`[${text}]`) : text;
+                        };
+                        lines.push('', ' Time: ' + segment(cursor.getHours(), 'hour') + ':' +
+                            segment(cursor.getMinutes(), 'minute'));
+                    }
+
+                    if (error) {
+                        lines.push('', this.styling.hex(theme.error)('❌ ' + error));
+                    }
+
+                    lines.push('', focus === 'calendar' ?
+                        muted('←/→ day, ↑/↓ week, PgUp/PgDn month' + (config.time ? ', Tab for time' : '') +
+                            ', type "tomorrow" or "+3d", Enter to confirm') :
+                        muted('←/→ hour/minute, ↑/↓ change, Tab for calendar, Enter to confirm'));
+
+                    if (!typed) return lines;
+
+                    const goTo = ' Go to: ' + typed;
+                    lines.push(goTo);
+                    return { lines, cursor: { line: lines.length - 1, column: Renderer.width(goTo) } };
+                },
+                keypress: (char, key) => {
+                    const name = key?.name;
+
+                    if (name === 'return' || name === 'enter') {
+                        if (typed) {
+                            const parsed = this.parseDate(typed, config, cursor);
+                            const result = parsed ? this.dateInBounds(parsed, bounds, config) : `Could not understand "${typed}"`;
+                            if (result !== true) {
+                                error = result;
+                                return;
+                            }
+                            typed = '';
+                        }
+                        confirm().catch(prompt.reject);
+                        return;
+                    }
+
+                    if (name === 'backspace' && typed) {
+                        typed = typed.slice(0, -1);
+                    } else if (char && !key?.ctrl && !key?.meta && /^[\w+\-:. ]$/.test(char) && (typed || char !== ' ')) {
+                        typed += char;
+                    } else if (name === 'tab' && config.time) {
+                        focus = focus === 'calendar' ? 'hour' : 'calendar';
+                        return;
+                    } else if (focus === 'calendar') {
+                        const days = { left: -1, right: 1, up: -7, down: 7 }[name];
+                        const months = { pageup: -1, pagedown: 1 }[name];
+                        if (days) move(this.addDays(cursor, days));
+                        if (months) move(this.addMonths(cursor, months));
+                        return;
+                    } else {
+                        if (name === 'left' || name === 'right') focus = focus === 'hour' ? 'minute' : 'hour';
+                        const step = focus === 'hour' ? 60 : config.minuteStep;
+                        if (name === 'up' || name === 'down') {
+                            move(new Date(cursor.getTime() + (name === 'up' ? step : -step) * 60000));
+                        }
+                        return;
+                    }
+
+                    // Typing jumps to whatever the text means so far
+                    const parsed = typed && this.parseDate(typed, config, cursor);
+                    if (parsed) {
+                        const result = this.dateInBounds(parsed, bounds, config);
+                        if (result === true) move(parsed);
+                        else error = result;
+                    } else {
+                        error = '';
+                    }
+                },
+                escape: () => {
+                    if (!typed) return false;
+                    typed = '';
+                    error = '';
+                    return true;
+                },
+                expire: () => {
+                    if (config.default === undefined) {
+                        prompt.reject(new PromptTimeoutError(this.promptKey(config), config.timeout));
+                        return;
+                    }
+                    prompt.resolve(this.dateOutput(cursor, config));
+                },
+                summary: () => this.formatDate(cursor, config.time)
+            };
+        });
+    }
+
+    /**
+     * Month grid for date(), with the cursor day in brackets, today in the
+     * secondary colour and days outside min/max dimmed.
+     * @private
+     */
+    renderCalendar(config, cursor, bounds) {
+        const theme = this.styling.getTheme();
+        const first = new Date(cursor.getFullYear(), cursor.getMonth(), 1);
+        const daysInMonth = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 0).getDate();
+        const offset = (first.getDay() - config.weekStart + 7) % 7;
+        const today = this.formatDate(new Date(), false);
+
+        const title = first.toLocaleString(config.locale, { month: 'long', year: 'numeric' });
+        const weekdays = Array.from({ length: 7 }, (_, i) =>
+            // 2023-01-01 was a Sunday
+            new Date(2023, 0, 1 + (config.weekStart + i) % 7).toLocaleString(config.locale, { weekday: 'short' }).slice(0, 2)
+        );
+        const width = 7 * 4;
+        const pad = Math.max(0, Math.floor((width - title.length - 4) / 2));
+
+        const lines = [' '.repeat(pad) + '‹ ' + this.styling.hex(theme.primary)(title) + ' ›'];
+        lines.push(this.styling.hex(theme.muted)(weekdays.map(day => ' ' + day.padStart(2) + ' ').join('')));
+
+        let row = '    '.repeat(offset);
+        for (let day = 1; day <= daysInMonth; day++) {
+            const date = new Date(cursor.getFullYear(), cursor.getMonth(), day);
+            const text = String(day).padStart(2);
+            let cell;
+
+            if (day === cursor.getDate()) {
+                cell = this.styling.hex(theme.primary)(`[${text}]`);
+            } else if (this.dateInBounds(date, bounds, { time: false }) !== true) {
+                cell = this.styling.hex(theme.muted)(` ${text} `);
+            } else if (this.formatDate(date, false) === today) {
+                cell = this.styling.hex(theme.secondary)(` ${text} `);
+            } else {
+                cell = ` ${text} `;
+            }
+
+            row += cell;
+            if ((offset + day) % 7 === 0 || day === daysInMonth) {
+                lines.push(row.replace(/\s+$/, ''));
+                row = '';
+            }
+        }
+
+        return lines;
+    }
+
+    /**
+     * Answer date() without the terminal: any value date() understands,
+     * falling back to the default.
+     * @private
+     */
+    async answerDateFromSource(config, bounds) {
+        const key = this.promptKey(config);
+        let answer = this.lookupAnswer(config);
+
+        if (answer === undefined) {
+            answer = config.default;
+        }
+        if (answer === undefined) {
+            throw new MissingAnswerError(key);
+        }
+
+        const date = this.toDate(answer, config);
+        if (!date) {
+            throw new InvalidAnswerError(key, `Could not understand "${answer}"`);
+        }
+
+        const result = await this.checkDate(config, date, bounds);
+        if (result !== true) {
+            throw new InvalidAnswerError(key, result);
+        }
+
+        return this.dateOutput(date, config);
+    }
+
+    /**
+     * Normalise a Date, epoch or date() string; null when it is not a date.
+     * Without `config.time` the result is midnight local time.
+     * @private
+     */
+    toDate(value, config) {
+        if (value === undefined || value === null || value === '') return null;
+
+        let date;
+        if (value instanceof Date) date = new Date(value.getTime());
+        else if (typeof value === 'number') date = new Date(value);
+        else date = this.parseDate(String(value), config, null);
+
+        if (!date || isNaN(date.getTime())) return null;
+        if (!config.time) date.setHours(0, 0, 0, 0);
+        return date;
+    }
+
+    /**
+     * Parse typed date() input. Relative day offsets keep the time of `base`
+     * (the date currently picked), if any.
+     * @private
+     */
+    parseDate(text, config, base) {
+        const input = text.trim().toLowerCase();
+        const now = new Date();
+        let date = null;
+
+        const words = { today: 0, tomorrow: 1, yesterday: -1 };
+        const relative = input.match(/^([+-])\s*(\d+)\s*([hdwmy])$/);
+        const local = input.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ t](\d{1,2}):(\d{2}))?$/);
+
+        if (input === 'now') {
+            date = now;
+        } else if (input in words) {
+            date = this.addDays(now, words[input]);
+        } else if (relative) {
+            const amount = Number(relative[2]) * (relative[1] === '-' ? -1 : 1);
+            const unit = relative[3];
+            if (unit === 'h') date = new Date(now.getTime() + amount * 3600000);
+            if (unit === 'd') date = this.addDays(now, amount);
+            if (unit === 'w') date = this.addDays(now, amount * 7);
+            if (unit === 'm') date = this.addMonths(now, amount);
+            if (unit === 'y') date = this.addMonths(now, amount * 12);
+            if (unit !== 'h' && base) date.setHours(base.getHours(), base.getMinutes(), 0, 0);
+        } else if (local) {
+            const [, year, month, day, hours, minutes] = local.map(Number);
+            date = new Date(year, month - 1, day, hours || 0, minutes || 0);
+            // Reject rollovers such as 2026-02-31
+            if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+        } else if (/^\d{4}-\d{2}-\d{2}t[\d:.]+(z|[+-]\d{2}:?\d{2})$/.test(input)) {
+            date = new Date(text.trim());
+        }
+
+        if (!date || isNaN(date.getTime())) return null;
+        date.setSeconds(0, 0);
+        if (!config.time) date.setHours(0, 0, 0, 0);
+        return date;
+    }
+
+    /**
+     * min/max for date(), as Dates compared at the prompt's precision.
+     * @private
+     */
+    dateBounds(config) {
+        return {
+            min: this.toDate(config.min, config),
+            max: this.toDate(config.max, config)
+        };
+    }
+
+    /**
+     * @private
+     * @returns {true|string} True, or the bound the date falls outside of.
+     */
+    dateInBounds(date, bounds, config) {
+        const time = config.time;
+        const value = time ? date.getTime() : new Date(date).setHours(0, 0, 0, 0);
+        const min = bounds.min && (time ? bounds.min.getTime() : new Date(bounds.min).setHours(0, 0, 0, 0));
+        const max = bounds.max && (time ? bounds.max.getTime() : new Date(bounds.max).setHours(0, 0, 0, 0));
+
+        if (min && value < min) return `Date must be on or after ${this.formatDate(bounds.min, time)}`;
+        if (max && value > max) return `Date must be on or before ${this.formatDate(bounds.max, time)}`;
+        return true;
+    }
+
+    /**
+     * Bounds check followed by the prompt's own validate().
+     * @private
+     */
+    async checkDate(config, date, bounds) {
+        const result = this.dateInBounds(date, bounds, config);
+        if (result !== true) return result;
+
+        if (config.validate && typeof config.validate === 'function') {
+            return config.validate(new Date(date.getTime()));
+        }
+        return true;
+    }
+
+    /**
+     * @private
+     */
+    clampDate(date, bounds) {
+        if (bounds.min && date < bounds.min) return new Date(bounds.min.getTime());
+        if (bounds.max && date > bounds.max) return new Date(bounds.max.getTime());
+        return date;
+    }
+
+    /**
+     * @private
+     */
+    addDays(date, days) {
+        const result = new Date(date.getTime());
+        result.setDate(result.getDate() + days);
+        return result;
+    }
+
+    /**
+     * Add calendar months, keeping to the last day of shorter months
+     * (Jan 31 + 1 month is Feb 28/29, not March).
+     * @private
+     */
+    addMonths(date, months) {
+        const result = new Date(date.getTime());
+        const day = result.getDate();
+        result.setDate(1);
+        result.setMonth(result.getMonth() + months);
+        const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+        result.setDate(Math.min(day, lastDay));
+        return result;
+    }
+
+    /**
+     * 'YYYY-MM-DD', or 'YYYY-MM-DD HH:mm' with time, in local time.
+     * @private
+     */
+    formatDate(date, withTime) {
+        const pad = (value) => String(value).padStart(2, '0');
+        const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        return withTime ? `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}` : day;
+    }
+
+    /**
+     * Convert a picked date to date()'s configured output.
+     * @private
+     */
+    dateOutput(date, config) {
+        if (config.output === 'epoch') return date.getTime();
+        if (config.output === 'iso') return config.time ? date.toISOString() : this.formatDate(date, false);
+        return new Date(date.getTime());
+    }
+
+    /**
+     * Answer with a single keypress, like `git add -p`. Each choice has a
+     * one-letter `key`; pressing it answers at once. "?" expands the list of
+     * keys with their meanings and Enter picks the default.
+     * @param {object} [options]
+     * @param {string} [options.message='Choose an action:']
+     * @param {{key:string,name:string,value?:any}[]} [options.choices=[]] - "?" is reserved for help.
+     * @param {any} [options.default] - Key or value of the choice Enter picks; shown in upper case.
+     * @param {boolean} [options.expanded=false] - Start with the help list open.
+     * @param {AbortSignal} [options.signal] - Cancels the prompt when aborted.
+     * @param {number} [options.timeout] - Milliseconds to wait before resolving with the default.
+     * @returns {Promise<any>} The chosen value (or name).
+     * @throws {PromptCancelledError} On Escape, Ctrl+C or abort.
+     * @throws {PromptTimeoutError} When the timeout expires and there is no default.
+     */
+    async expand(options = {}) {
+        const config = {
+            message: options.message || 'Choose an action:',
+            choices: options.choices || [],
+            expanded: options.expanded || false,
+            ...options
+        };
+
+        const keys = config.choices.map(choice => String(choice.key).toLowerCase());
+        const invalid = keys.find((key, index) => key.length !== 1 || key === '?' || keys.indexOf(key) !== index);
+        if (invalid !== undefined) {
+            throw new Error(`expand() choice keys must be single, unique characters other than "?" (got "${invalid}")`);
+        }
+
+        const findByKey = (key) => config.choices.find(choice => String(choice.key).toLowerCase() === key);
+        const defaultChoice = config.default === undefined ? undefined : config.choices.find(choice =>
+            String(choice.key).toLowerCase() === String(config.default).toLowerCase() ||
+            (choice.value ?? choice.name) === config.default
+        );
+        const valueOf = (choice) => choice.value || choice.name;
+
+        if (this.isNonInteractive()) {
+            const answer = this.lookupAnswer(config);
+            if (answer === undefined) {
+                if (defaultChoice) return valueOf(defaultChoice);
+                throw new MissingAnswerError(this.promptKey(config));
+            }
+            const choice = findByKey(String(answer).toLowerCase()) ||
+                config.choices.find(item => String(item.value ?? item.name) === String(answer) || item.name === answer);
+            if (!choice) {
+                throw new InvalidAnswerError(this.promptKey(config), `"${answer}" is not one of: ${keys.join(', ')}`);
+            }
+            return valueOf(choice);
+        }
+
+        return this.keypressPrompt(config, (prompt) => {
+            const theme = this.styling.getTheme();
+            const muted = this.styling.hex(theme.muted);
+            let expanded = config.expanded;
+            let error = '';
+            let chosen = defaultChoice;
+
+            const hotkeys = config.choices.map(choice =>
+                choice === defaultChoice ? String(choice.key).toUpperCase() : String(choice.key).toLowerCase()
+            ).join('') + '?';
+
+            this.showPromptTitle(config);
+
+            return {
+                render: () => {
+                    const icon = this.config.enableIcons ? this.styling.icons.question + ' ' : '';
+                    const lines = [this.styling.hex(theme.primary)(icon + config.message) + ' ' +
+                        muted(`(${hotkeys})`) + prompt.countdown()];
+
+                    if (expanded) {
+                        lines.push('');
+                        for (const choice of config.choices) {
+                            const line = `  ${String(choice.key).toLowerCase()}) ${choice.name}`;
+                            lines.push(choice === defaultChoice ? this.styling.hex(theme.primary)(line) : line);
+                        }
+                        lines.push(muted('  ?) Hide this help'));
+                    }
+
+                    if (error) {
+                        lines.push('', this.styling.hex(theme.error)('❌ ' + error));
+                    }
+                    return lines;
+                },
+                keypress: (char, key) => {
+                    const name = key?.name;
+                    error = '';
+
+                    if (name === 'return' || name === 'enter') {
+                        if (defaultChoice) {
+                            prompt.resolve(valueOf(defaultChoice));
+                        } else {
+                            error = 'Press one of the keys above, or ? for help';
+                        }
+                        return;
+                    }
+                    if (char === '?') {
+                        expanded = !expanded;
+                        return;
+                    }
+
+                    const picked = char && findByKey(char.toLowerCase());
+                    if (picked) {
+                        chosen = picked;
+                        prompt.resolve(valueOf(picked));
+                    } else if (char) {
+                        error = `Press one of ${keys.join(', ')}, or ? for help`;
+                    }
+                },
+                expire: () => {
+                    if (!defaultChoice) {
+                        prompt.reject(new PromptTimeoutError(this.promptKey(config), config.timeout));
+                        return;
+                    }
+                    chosen = defaultChoice;
+                    prompt.resolve(valueOf(defaultChoice));
+                },
+                summary: () => chosen.name
+            };
+        });
+    }
+
+    /**
+     * On/off switch. ←/→ (or n/y) set it, Space or Tab flips it and Enter
+     * confirms.
+     * @param {object} [options]
+     * @param {string} [options.message='Enable?']
+     * @param {boolean} [options.default=false]
+     * @param {string} [options.active='On'] - Label for true.
+     * @param {string} [options.inactive='Off'] - Label for false.
+     * @param {AbortSignal} [options.signal] - Cancels the prompt when aborted.
+     * @param {number} [options.timeout] - Milliseconds to wait before answering with the default.
+     * @returns {Promise<boolean>}
+     * @throws {PromptCancelledError} On Escape, Ctrl+C or abort.
+     */
+    async toggle(options = {}) {
+        const config = {
+            message: options.message || 'Enable?',
+            default: options.default ?? false,
+            active: options.active || 'On',
+            inactive: options.inactive || 'Off',
+            ...options
+        };
+
+        if (this.isNonInteractive()) {
+            const answer = this.lookupAnswer(config);
+            if (answer === undefined) return config.default;
+            if (typeof answer === 'boolean') return answer;
+
+            const text = String(answer).toLowerCase();
+            if (['y', 'yes', 'true', 'on', '1', config.active.toLowerCase()].includes(text)) return true;
+            if (['n', 'no', 'false', 'off', '0', config.inactive.toLowerCase()].includes(text)) return false;
+            throw new InvalidAnswerError(this.promptKey(config), `"${answer}" is not ${config.active} or ${config.inactive}`);
+        }
+
+        return this.keypressPrompt(config, (prompt) => {
+            const theme = this.styling.getTheme();
+            const muted = this.styling.hex(theme.muted);
+            const primary = this.styling.hex(theme.primary);
+            let value = Boolean(config.default);
+
+            this.showPromptTitle(config);
+
+            return {
+                render: () => {
+                    const icon = this.config.enableIcons ? this.styling.icons.question + ' ' : '';
+                    const knob = this.styling.icons.radio_selected;
+                    const track = value ? muted('━━') + primary(knob) : muted(knob + '━━');
+
+                    return [
+                        primary(icon + config.message) + ' ' +
+                            (value ? muted(config.inactive) : primary.bold(config.inactive)) + ' ' + track + ' ' +
+                            (value ? primary.bold(config.active) : muted(config.active)) + prompt.countdown(),
+                        muted('Use ←/→ or Space to switch, Enter to confirm')
+                    ];
+                },
+                keypress: (char, key) => {
+                    const name = key?.name;
+
+                    if (name === 'left' || name === 'n') value = false;
+                    else if (name === 'right' || name === 'y') value = true;
+                    else if (name === 'space' || name === 'tab') value = !value;
+                    else if (name === 'return' || name === 'enter') prompt.resolve(value);
+                },
+                summary: (answer) => answer ? config.active : config.inactive
+            };
+        });
+    }
+
+    /**
+     * Run a multi-field form by prompting each field in order. Fields can be
+     * skipped with `when`, derive their message, default and choices from
+     * earlier answers, and be nested in groups. Ctrl+B or Shift+Tab returns
+     * to the previous field with its answer filled in.
+     * @param {object} [options]
+     * @param {string} [options.title]
+     * @param {FormField[]} [options.fields=[]]
+     * @param {boolean} [options.review=false] - Before resolving, list every answer in a
+     *   table where any row can be picked to edit it again (passwords are masked).
+     * @param {AbortSignal} [options.signal] - Cancels whichever field is active when aborted.
+     * @returns {Promise<object>} Object keyed by field.name with entered values; groups
+     *   become nested objects.
+     * @throws {PromptCancelledError} When any field (or the review) is cancelled.
+     */
+    async form(options = {}) {
+        const config = {
+            title: options.title || 'Form',
+            fields: options.fields || [],
+            review: options.review || false,
+            ...options
+        };
+
+        const theme = this.styling.getTheme();
+        const interactive = !this.isNonInteractive();
+        const entries = this.formEntries(config.fields);
+        const results = {};
+
+        if (config.title && interactive) {
+            this.log(this.styling.createBox(config.title, {
+                style: 'double',
+                borderColor: theme.primary,
+                padding: 1
+            }));
+            this.log();
+        }
+
+        await this.askFields(config, entries, results);
+
+        while (config.review && interactive) {
+            const edit = await this.reviewForm(config, entries, results);
+            if (edit === null) break;
+            await this.askFields(config, entries, results, edit);
+        }
+        return results;
+    }
+
+    /**
+     * Flatten form fields into entries, each group followed by its own
+     * fields. Entries carry their `path` of names and enclosing `groups`;
+     * a group's `end` is the index just past its last field.
+     * @private
+     */
+    formEntries(fields, parent = null, entries = []) {
+        for (const field of fields) {
+            const entry = {
+                field,
+                path: parent ? [...parent.path, field.name] : [field.name],
+                groups: parent ? [...parent.groups, parent] : []
+            };
+            entries.push(entry);
+
+            if (field.type === 'group') {
+                entry.group = true;
+                this.formEntries(field.fields || [], entry, entries);
+                entry.end = entries.length;
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Ask form entries in order into `answers`, the whole form's result.
+     * Nested fields are named "group.field" so pre-supplied answers can
+     * address them, and a field whose `when` now fails loses any earlier
+     * answer. Going back re-asks the previous field pre-filled with its
+     * answer. With `revisit` (an entry index) only that field and fields
+     * without an answer yet are asked; the rest keep theirs.
+     * @private
+     */
+    async askFields(config, entries, answers, revisit = null) {
+        const interactive = !this.isNonInteractive();
+        const theme = this.styling.getTheme();
+        const resolve = (option) => typeof option === 'function' ? option(answers) : option;
+        const asked = [];
+        let focus = revisit;
+        let headings = [];
+        let index = 0;
+
+        while (index < entries.length) {
+            const entry = entries[index];
+            const { field } = entry;
+            const target = this.formTarget(answers, entry);
+
+            if (typeof field.when === 'function' && !(await field.when(answers))) {
+                delete target[field.name];
+                index = entry.group ? entry.end : index + 1;
+                continue;
+            }
+
+            if (entry.group) {
+                target[field.name] = target[field.name] || {};
+                entry.label = resolve(field.message ?? field.label) || field.name;
+                index++;
+                continue;
+            }
+
+            const answered = Object.prototype.hasOwnProperty.call(target, field.name);
+            if (focus !== null && index !== focus && answered) {
+                asked.push({ index: index++, rows: 0 });
+                continue;
+            }
+
+            const fieldConfig = {
+                signal: config.signal,
+                ...field,
+                name: entry.path.join('.'),
+                message: resolve(field.message ?? field.label) || field.name,
+                back: interactive && asked.length > 0
+            };
+            if (field.default !== undefined) {
+                fieldConfig.default = await resolve(field.default);
+            }
+            if (typeof field.choices === 'function') {
+                fieldConfig.choices = (query) => field.choices(answers, query);
+            }
+            if (answered) {
+                fieldConfig.default = target[field.name];
+                fieldConfig.initial = target[field.name];
+            }
+
+            const ask = async () => {
+                // Print the headings of groups this field enters
+                if (interactive) {
+                    const shared = entry.groups.findIndex((group, depth) => headings[depth] !== group);
+                    entry.groups.slice(shared === -1 ? entry.groups.length : shared)
+                        .forEach(group => this.log(this.styling.hex(theme.primary).bold(group.label)));
+                    headings = entry.groups;
                 }
 
-                const icon = this.config.enableIcons ? this.styling.icons.question + ' ' : '';
-                console.log(this.styling.hex(theme.primary)(icon + (config.message || 'Select an option:')));
-                console.log(this.styling.hex(theme.muted)('Type to search, ↑/↓ navigate, Enter select, Esc cancel'));
-                console.log(this.styling.hex(theme.info)(`Search: ${query || ''}`));
-                console.log();
+                target[field.name] = await this.askField(fieldConfig);
+                if (interactive) {
+                    this.log(); // Add spacing between fields
+                }
+            };
+
+            const start = this.rowsWritten;
+            try {
+                await ask();
+            } catch (error) {
+                if (!(error instanceof PromptCancelledError) || error.reason !== 'back') throw error;
+
+                // Erase this field and the previous one, then ask that again
+                const previous = asked.pop();
+                this.eraseRows(this.rowsWritten - start + previous.rows);
+                index = previous.index;
+                if (focus !== null) focus = index;
+                headings = [];
+                continue;
+            }
+
+            asked.push({ index: index++, rows: this.rowsWritten - start });
+        }
+    }
+
+    /**
+     * Erase the given number of rows above the cursor's row and everything below.
+     * @private
+     */
+    eraseRows(rows) {
+        this.stdout.write((rows > 0 ? `\x1b[${rows}A` : '') + '\r\x1b[J');
+    }
+
+    /**
+     * Object a form entry's answer is stored on: the result itself, or the
+     * nested object of its group.
+     * @private
+     */
+    formTarget(answers, entry) {
+        return entry.path.slice(0, -1).reduce((object, name) => object[name], answers);
+    }
+
+    /**
+     * List a form's answers in an interactive table with a final Submit row.
+     * Resolves with the entry index of the row picked for editing, or null
+     * to submit.
+     * @private
+     */
+    async reviewForm(config, entries, answers) {
+        const resolve = (option) => typeof option === 'function' ? option(answers) : option;
+        const rows = [];
+        const picks = [];
+
+        entries.forEach((entry, index) => {
+            if (entry.group) return;
+            const target = entry.path.slice(0, -1).reduce((object, name) => object && object[name], answers);
+            if (!target || !Object.prototype.hasOwnProperty.call(target, entry.field.name)) return;
+
+            const label = String(resolve(entry.field.message ?? entry.field.label) || entry.field.name).replace(/:?\s*$/, '');
+            const value = target[entry.field.name];
+            rows.push({
+                field: [...entry.groups.map(group => group.label), label].join(' › '),
+                value: entry.field.type === 'password' ?
+                    (entry.field.mask || '*').repeat(8) : this.formatReviewValue(value, entry.field)
+            });
+            picks.push(index);
+        });
+        rows.push({ field: '✔ Submit', value: '' });
+
+        const Table = require('./UI/table');
+        const picked = await new Table(this.tableOptions())
+            .setTitle('Review your answers')
+            .setColumns([{ name: 'field', label: 'Field' }, { name: 'value', label: 'Answer' }])
+            .setRows(rows)
+            .showTableMenu({ signal: config.signal });
+
+        this.log();
+        return picked < picks.length ? picks[picked] : null;
+    }
+
+    /**
+     * Display text for a form answer in the review table.
+     * @private
+     */
+    formatReviewValue(value, field) {
+        if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+        if (value instanceof Date) return this.formatDate(value, field.time);
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            return Object.entries(value).map(([key, item]) => `${key}: ${this.formatAnswer(item)}`).join(', ');
+        }
+        return this.formatAnswer(value);
+    }
+
+    /**
+     * Run the prompt for a single form field according to its type.
+     * @private
+     */
+    askField(fieldConfig) {
+        switch (fieldConfig.type) {
+            case 'password':
+                return this.password(fieldConfig);
+            case 'number':
+                return this.number(fieldConfig);
+            case 'confirm':
+                return this.confirm(fieldConfig);
+            case 'select':
+                return this.select(fieldConfig);
+            case 'multiselect':
+                return this.multiselect(fieldConfig);
+            case 'editor':
+                return this.editor(fieldConfig);
+            case 'date':
+                return this.date(fieldConfig);
+            case 'slider':
+                return this.slider(fieldConfig);
+            case 'rating':
+                return this.rating(fieldConfig);
+            case 'path':
+                return this.path(fieldConfig);
+            case 'likert':
+                return this.likert(fieldConfig);
+            default:
+                return this.input(fieldConfig);
+        }
+    }
+
+    // ============================================
+    // NON-INTERACTIVE ANSWERS
+    // ============================================
+
+    /**
+     * Whether prompts are answered from pre-supplied answers instead of the terminal.
+     * @returns {boolean}
+     */
+    isNonInteractive() {
+        if (this.config.nonInteractive === 'auto') {
+            return !this.stdin.isTTY || Boolean(process.env.CI);
+        }
+        return this.config.nonInteractive === true;
+    }
+
+    /**
+     * Read a JSON answers file.
+     * @private
+     */
+    loadAnswersFile(file) {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read answers file ${file}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Key a prompt's answer is looked up by: its name, falling back to its message.
+     * @private
+     */
+    promptKey(config) {
+        return config.name || config.message;
+    }
+
+    /**
+     * Find the pre-supplied answer for a prompt. The answers object wins over
+     * environment variables, which win over the answers file.
+     * @private
+     * @returns {any} The raw answer, or undefined when none was supplied.
+     */
+    lookupAnswer(config) {
+        const key = this.promptKey(config);
+
+        if (Object.prototype.hasOwnProperty.call(this.answers, key)) {
+            return this.answers[key];
+        }
+
+        if (this.config.envPrefix) {
+            const envName = this.config.envPrefix + String(key)
+                .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+                .replace(/[^a-zA-Z0-9]+/g, '_')
+                .replace(/^_+|_+$/g, '')
+                .toUpperCase();
+            if (process.env[envName] !== undefined) {
+                return process.env[envName];
+            }
+        }
+
+        if (Object.prototype.hasOwnProperty.call(this.fileAnswers, key)) {
+            return this.fileAnswers[key];
+        }
+
+        // Nested form fields ("database.host") may also be answered by nested objects
+        if (String(key).includes('.')) {
+            for (const source of [this.answers, this.fileAnswers]) {
+                const answer = String(key).split('.').reduce((node, part) =>
+                    node && typeof node === 'object' && Object.prototype.hasOwnProperty.call(node, part) ? node[part] : undefined,
+                source);
+                if (answer !== undefined) return answer;
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Answer a text-style prompt (input, number, confirm, password) without the
+     * terminal, applying the same default/required/validate/transform steps.
+     * @private
+     */
+    async answerFromSource(config) {
+        const key = this.promptKey(config);
+        let answer = this.lookupAnswer(config);
+
+        if (answer === undefined) {
+            answer = config.default;
+        }
+        if (answer === undefined) {
+            throw new MissingAnswerError(key);
+        }
+
+        return this.finalizeAnswer(config, answer);
+    }
+
+    /**
+     * Run an answer that was not typed (pre-supplied or a timed-out default)
+     * through required/validate/transform, throwing instead of re-prompting.
+     * @private
+     */
+    async finalizeAnswer(config, answer) {
+        const key = this.promptKey(config);
+
+        // Answers behave as if they had been typed
+        answer = String(answer);
+
+        if (config.required && !answer) {
+            throw new InvalidAnswerError(key, 'This field is required');
+        }
+
+        if (config.validate && typeof config.validate === 'function') {
+            const validationResult = await config.validate(answer);
+            if (validationResult !== true) {
+                throw new InvalidAnswerError(key, validationResult);
+            }
+        }
+
+        if (config.transform && typeof config.transform === 'function') {
+            answer = config.transform(answer);
+        }
+
+        return answer;
+    }
+
+    /**
+     * Match a pre-supplied answer against a choice list by value or name.
+     * @private
+     * @returns {object} The matching choice.
+     */
+    findChoice(config, answer) {
+        const choice = config.choices.find(c => !c.separator &&
+            (String(c.value ?? c.name) === String(answer) || c.name === answer)
+        );
+
+        if (!choice || choice.disabled) {
+            const valid = config.choices.filter(c => this.isSelectable(c)).map(c => c.value ?? c.name).join(', ');
+            throw new InvalidAnswerError(this.promptKey(config), `"${answer}" is not one of: ${valid}`);
+        }
+
+        return choice;
+    }
+
+    /**
+     * Answer select() without the terminal.
+     * @private
+     */
+    answerSelectFromSource(config) {
+        const answer = this.lookupAnswer(config);
+
+        if (answer === undefined) {
+            if (config.default !== undefined) return config.default;
+            throw new MissingAnswerError(this.promptKey(config));
+        }
+
+        const choice = this.findChoice(config, answer);
+        return choice.value || choice.name;
+    }
+
+    /**
+     * Answer multiselect() without the terminal. Accepts an array or a
+     * comma-separated string; falls back to default, then pre-checked choices.
+     * @private
+     */
+    answerMultiselectFromSource(config) {
+        const key = this.promptKey(config);
+        let answer = this.lookupAnswer(config);
+
+        if (answer === undefined) {
+            answer = config.default;
+        }
+        if (answer === undefined && config.choices.some(c => c.checked && !c.separator)) {
+            answer = config.choices.filter(c => c.checked && !c.separator).map(c => c.value ?? c.name);
+        }
+        if (answer === undefined) {
+            throw new MissingAnswerError(key);
+        }
+
+        const items = Array.isArray(answer) ?
+            answer : String(answer).split(',').map(item => item.trim()).filter(Boolean);
+        const selected = items.map(item => {
+            const choice = this.findChoice(config, item);
+            return choice.value || choice.name;
+        });
+
+        const validationResult = this.validateSelection(config, selected);
+        if (validationResult !== true) {
+            throw new InvalidAnswerError(key, validationResult);
+        }
+
+        return selected;
+    }
+
+    // ============================================
+    // INPUT HISTORY
+    // ============================================
+
+    /**
+     * Key an input's history is stored under.
+     * @private
+     */
+    historyKey(config) {
+        return config.history === true ? this.promptKey(config) : String(config.history);
+    }
+
+    /**
+     * Read every stored history, keyed by history key (newest entry first).
+     * A missing or unreadable file is treated as empty.
+     * @private
+     * @returns {Object.<string,string[]>}
+     */
+    readHistoryFile() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.config.historyFile, 'utf8'));
+            return data && typeof data === 'object' ? data : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Previous answers for a history key, newest first.
+     * @private
+     * @returns {string[]}
+     */
+    loadHistory(key) {
+        const entries = this.readHistoryFile()[key];
+        return Array.isArray(entries) ? entries.slice(0, this.config.historySize) : [];
+    }
+
+    /**
+     * Record an answer at the top of a history, dropping duplicates and
+     * anything beyond historySize. History is a convenience, so failing to
+     * write it never fails the prompt.
+     * @private
+     */
+    saveHistory(key, answer) {
+        const data = this.readHistoryFile();
+        const entries = Array.isArray(data[key]) ? data[key] : [];
+        data[key] = [answer, ...entries.filter(entry => entry !== answer)].slice(0, this.config.historySize);
+
+        try {
+            fs.writeFileSync(this.config.historyFile, JSON.stringify(data, null, 2));
+        } catch (error) {
+            // Read-only home directories and the like just lose history
+        }
+    }
+
+    // ============================================
+    // UTILITY METHODS
+    // ============================================
+
+    /**
+     * Lazily create the readline interface if not already created.
+     * @private
+     * @param {object} [options] - Extra readline.createInterface options (e.g. history).
+     */
+    startReadline(options = {}) {
+        if (!this.rl) {
+            this.rl = readline.createInterface({
+                input: this.stdin,
+                output: this.stdout,
+                ...options
+            });
+        }
+    }
+
+    /**
+     * Close and reset the readline interface if open.
+     * @private
+     */
+    closeReadline() {
+        if (this.rl) {
+            this.rl.close();
+            this.rl = null;
+        }
+    }
+
+    /**
+     * Build the error a cancelled prompt rejects with.
+     * @private
+     */
+    cancelledError(config, reason) {
+        return new PromptCancelledError(this.promptKey(config), reason);
+    }
+
+    /**
+     * Cancel a readline-based prompt on Ctrl+C, Escape or config.signal, and
+     * with config.back on Ctrl+B / Shift+Tab (reason 'back').
+     * @private
+     * @returns {Function} Detaches the listeners again.
+     */
+    watchForCancel(config, onCancel) {
+        const onKeypress = (char, key) => {
+            if (key && key.name === 'escape') onCancel('escape');
+            else if (config.back && this.isBackKey(key)) onCancel('back');
+        };
+        const onSigint = () => onCancel('interrupt');
+        const onAbort = () => onCancel('abort');
+
+        this.rl.on('SIGINT', onSigint);
+        this.stdin.on('keypress', onKeypress);
+        if (config.signal) {
+            config.signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        return () => {
+            this.stdin.removeListener('keypress', onKeypress);
+            if (config.signal) {
+                config.signal.removeEventListener('abort', onAbort);
+            }
+        };
+    }
+
+    /**
+     * Redraw the active readline prompt, keeping what has been typed so far.
+     * @private
+     */
+    refreshPrompt(text) {
+        if (this.rl && this.rl.terminal) {
+            this.rl.setPrompt(text);
+            this.rl.prompt(true);
+        }
+    }
+
+    /**
+     * Muted "(12s)" label for prompts with a running timeout, else ''.
+     * @private
+     */
+    countdownLabel(config, seconds = Math.ceil(config.timeout / 1000)) {
+        if (!config.timeout) return '';
+        return ' ' + this.styling.hex(this.styling.getTheme().muted)(`(${seconds}s)`);
+    }
+
+    /**
+     * Start a prompt timeout. `tick(label)` is called every second with the
+     * countdown label and `expire()` once config.timeout elapses.
+     * @private
+     * @returns {Function} Stops the countdown; safe to call more than once.
+     */
+    startCountdown(config, { tick, expire }) {
+        if (!config.timeout) return () => {};
+
+        const deadline = Date.now() + config.timeout;
+        const interval = setInterval(() => {
+            const seconds = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+            tick(this.countdownLabel(config, seconds));
+        }, 1000);
+        const timer = setTimeout(() => {
+            clearInterval(interval);
+            expire();
+        }, config.timeout);
+
+        return () => {
+            clearInterval(interval);
+            clearTimeout(timer);
+        };
+    }
+
+    /**
+     * Run a raw-mode keypress prompt rendered in place.
+     *
+     * `setup(prompt)` returns the prompt's view: `render()` returns the lines
+     * (or `{ lines, cursor }`) the prompt owns, `keypress(char, key)` handles
+     * input, the optional `summary(value)` returns the text shown after
+     * "›" once the prompt resolves, the optional `dispose()` stops any
+     * timers the view started and the optional `escape()` returns true when
+     * it consumed an Escape press instead of letting it cancel the prompt. The block is redrawn after every key and
+     * countdown tick (or on demand via prompt.render()) by a shared Renderer,
+     * which only rewrites the lines that changed and collapses the block to a
+     * one-line summary when the prompt settles.
+     *
+     * The prompt controller settles it via resolve(value), reject(error) or
+     * cancel(reason). Ctrl+C, Escape and config.signal cancel with a
+     * PromptCancelledError; raw mode and listeners are always restored first.
+     * With config.back (set by form()), Ctrl+B and Shift+Tab cancel with
+     * reason 'back' and erase the block; views that use Shift+Tab themselves
+     * set `shiftTab: true` and keep it.
+     *
+     * With config.timeout the prompt resolves config.default (or rejects with
+     * a PromptTimeoutError) when it expires, unless the view provides its own
+     * `expire()`. prompt.countdown() returns the label to render; the first
+     * keypress stops the countdown.
+     * @private
+     */
+    keypressPrompt(config, setup) {
+        return new Promise((resolve, reject) => {
+            const signal = config.signal;
+            const screen = new Renderer(this.stdout, { columns: this.capabilities.terminalWidth });
+            let settled = false;
+            let view = null;
+
+            if (signal && signal.aborted) {
+                reject(this.cancelledError(config, 'abort'));
+                return;
+            }
 
-                const filtered = getFiltered();
-                if (filtered.length === 0) {
-                    console.log(this.styling.hex(theme.muted)('No matches'));
+            const settle = (fn, value, summary) => {
+                if (settled) return;
+                settled = true;
+
+                stopCountdown();
+                if (view && view.dispose) view.dispose();
+                this.stdin.removeListener('keypress', keyPressHandler);
+                if (signal) signal.removeEventListener('abort', onAbort);
+                if (summary === null) {
+                    screen.clear();
+                } else {
+                    this.rowsWritten += screen.done(summary === undefined ? undefined : [summary]);
                 }
+                this.setRawMode(false);
+                this.stdin.pause();
+                this.closeReadline();
 
-                filtered.slice(0, config.pageSize || 10).forEach((choice, index) => {
-                    const isSelected = index === selectedIndex;
-                    const cursor = isSelected ? '→ ' : '  ';
-                    const color = isSelected ? theme.primary : theme.text;
+                fn(value);
+            };
 
-                    let display = cursor + choice.name;
-                    display = isSelected ? this.styling.hex(color).bold(display) : this.styling.hex(color)(display);
-                    console.log(display);
-                });
+            const prompt = {
+                resolve: (value) => {
+                    let display;
+                    try {
+                        display = view && view.summary ? view.summary(value) : this.formatAnswer(value);
+                    } catch (error) {
+                        // Still restore the terminal when a view's summary throws
+                        settle(reject, error, this.answerSummary(config, null));
+                        return;
+                    }
+                    settle(resolve, value, this.answerSummary(config, display));
+                },
+                reject: (error) => settle(reject, error, this.answerSummary(config, null)),
+                cancel: (reason) => settle(reject, this.cancelledError(config, reason),
+                    reason === 'back' ? null : this.answerSummary(config, null)),
+                render: () => {
+                    if (!settled && view) screen.render(view.render());
+                },
+                countdown: () => countdownLabel
             };
 
-            render();
-            this.startReadline();
-            readline.emitKeypressEvents(process.stdin, this.rl);
-            if (process.stdin.isTTY) {
-                process.stdin.setRawMode(true);
-            }
+            let countdownLabel = this.countdownLabel(config);
+            const stopCountdown = this.startCountdown(config, {
+                tick: (label) => {
+                    countdownLabel = label;
+                    prompt.render();
+                },
+                expire: () => {
+                    if (view && view.expire) {
+                        view.expire();
+                    } else if (config.default !== undefined) {
+                        prompt.resolve(config.default);
+                    } else {
+                        prompt.reject(new PromptTimeoutError(this.promptKey(config), config.timeout));
+                    }
+                }
+            });
 
             const keyPressHandler = (char, key) => {
-                const filtered = getFiltered();
-                switch (key?.name) {
-                    case 'up':
-                        selectedIndex = selectedIndex > 0 ? selectedIndex - 1 : Math.max(0, filtered.length - 1);
-                        render();
-                        break;
-                    case 'down':
-                        selectedIndex = selectedIndex < Math.max(0, filtered.length - 1) ? selectedIndex + 1 : 0;
-                        render();
-                        break;
-                    case 'backspace':
-                        query = query.slice(0, -1);
-                        selectedIndex = 0;
-                        render();
-                        break;
-                    case 'escape':
-                    case 'q':
-                        this.rl.input.removeAllListeners('keypress');
-                        if (process.stdin.isTTY) process.stdin.setRawMode(false);
-                        this.closeReadline();
-                        resolve(null);
-                        break;
-                    case 'return':
-                        const finalChoices = getFiltered();
-                        const choice = finalChoices[selectedIndex];
-                        this.rl.input.removeAllListeners('keypress');
-                        if (process.stdin.isTTY) process.stdin.setRawMode(false);
-                        this.closeReadline();
-                        resolve(choice ? (choice.value ?? choice.name) : null);
-                        break;
-                    default:
-                        if (char && char.length === 1 && !key?.ctrl && !key?.meta) {
-                            query += char;
-                            selectedIndex = 0;
-                            render();
-                        }
+                // Views may use Escape to back out of a mode (e.g. clear a filter) first
+                if (key && key.name === 'escape' && view.escape && view.escape()) {
+                    prompt.render();
+                    return;
+                }
+                if (key && ((key.ctrl && key.name === 'c') || key.name === 'escape')) {
+                    prompt.cancel(key.name === 'escape' ? 'escape' : 'interrupt');
+                    return;
+                }
+                if (config.back && this.isBackKey(key) && !(key.name === 'tab' && view.shiftTab)) {
+                    prompt.cancel('back');
+                    return;
+                }
+
+                // Someone is at the keyboard; stop counting down
+                if (countdownLabel) {
+                    stopCountdown();
+                    countdownLabel = '';
+                }
+
+                try {
+                    view.keypress(char, key);
+                    prompt.render();
+                } catch (error) {
+                    prompt.reject(error);
                 }
             };
+            const onAbort = () => prompt.cancel('abort');
 
-            this.rl.input.on('keypress', keyPressHandler);
+            // Listen on the stream directly; a terminal-mode readline would echo keys
+            readline.emitKeypressEvents(this.stdin);
+            this.setRawMode(true);
+            this.stdin.resume();
+
+            view = setup(prompt);
+            prompt.render();
+            this.stdin.on('keypress', keyPressHandler);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
         });
     }
 
     /**
-     * Choose multiple options via space to toggle and enter to confirm.
-     * @param {object} [options]
-     * @param {string} [options.message]
-     * @param {{name:string,value?:any,checked?:boolean}[]} [options.choices=[]]
-     * @param {(selected:any[])=>true|string} [options.validate]
-     * @param {number} [options.min=0]
-     * @param {number} [options.max]
-     * @returns {Promise<any[]>} Array of selected values or names.
+     * Whether a key asks form() to return to the previous field: Ctrl+B or Shift+Tab.
+     * @private
      */
-    async multiselect(options = {}) {
-        const config = {
-            message: options.message || 'Select options (space to toggle, enter to confirm):',
-            choices: options.choices || [],
-            validate: options.validate,
-            min: options.min || 0,
-            max: options.max,
-            ...options
-        };
+    isBackKey(key) {
+        return Boolean(key) && ((key.ctrl && key.name === 'b') || (key.shift && key.name === 'tab'));
+    }
 
-        return new Promise((resolve, reject) => {
-            const theme = this.styling.getTheme();
-            let selectedIndex = 0;
-            const choices = config.choices.map(choice => ({
-                ...choice,
-                checked: choice.checked || false
-            }));
+    /**
+     * 'start' or 'end' when a key is a bracketed-paste marker, else null.
+     * Node 18+ names them paste-start/paste-end; older versions report the
+     * sequence without its final "~", which then arrives as a key of its own.
+     * @private
+     */
+    pasteMarker(key) {
+        if (key.name === 'paste-start' || key.sequence === '\x1b[200~' || key.sequence === '\x1b[200') return 'start';
+        if (key.name === 'paste-end' || key.sequence === '\x1b[201~' || key.sequence === '\x1b[201') return 'end';
+        return null;
+    }
+
+    /**
+     * Key combination as written in options such as `submit`, e.g. 'ctrl+d'.
+     * @private
+     */
+    keyLabel(key) {
+        return [key.ctrl && 'ctrl', key.meta && 'meta', key.shift && 'shift', key.name].filter(Boolean).join('+');
+    }
+
+    /**
+     * One-line summary a settled prompt collapses to, e.g. "✔ Framework › React".
+     * A null display marks the prompt as cancelled.
+     * @private
+     */
+    answerSummary(config, display) {
+        const theme = this.styling.getTheme();
+        const message = String(config.message || this.promptKey(config)).replace(/:?\s*$/, '');
 
-            const render = () => {
-                console.clear();
+        if (display === null) {
+            return this.styling.hex(theme.error)('✖ ') + message + this.styling.hex(theme.muted)(' › cancelled');
+        }
+        return this.styling.hex(theme.success)('✔ ') + message +
+            this.styling.hex(theme.muted)(' › ') + this.styling.hex(theme.primary)(display);
+    }
 
-                const icon = this.config.enableIcons ? this.styling.icons.question + ' ' : '';
-                console.log(this.styling.hex(theme.primary)(icon + config.message));
-                console.log();
+    /**
+     * Display text for a prompt answer in its summary line.
+     * @private
+     */
+    formatAnswer(value) {
+        if (Array.isArray(value)) return value.map(item => this.formatAnswer(item)).join(', ');
+        if (value === null || value === undefined) return '';
+        return String(value);
+    }
 
-                choices.forEach((choice, index) => {
-                    const isSelected = index === selectedIndex;
-                    const cursor = isSelected ? '→ ' : '  ';
-                    const checkbox = choice.checked ?
-                        this.styling.icons.checked : this.styling.icons.unchecked;
-                    const color = isSelected ? theme.primary : theme.text;
+    /**
+     * Track the choices of a select-style prompt. Arrays are ready at once; a
+     * choices function is called (with the search query for searchable
+     * prompts) while `statusLine()` renders a spinner, or the error if it
+     * rejects. `onLoad(choices)` runs whenever a new list arrives and
+     * responses to superseded queries are dropped.
+     * @private
+     */
+    choiceLoader(source, prompt, onLoad) {
+        const theme = this.styling.getTheme();
+        const spinner = this.styling.spinners.dots;
+        const loader = { status: 'ready', choices: [], error: null };
+        let request = 0;
+        let frame = 0;
+        let spinTimer = null;
+        let debounceTimer = null;
 
-                    let display = cursor + checkbox + ' ' + choice.name;
-                    if (isSelected) {
-                        display = this.styling.hex(color).bold(display);
-                    } else {
-                        display = this.styling.hex(color)(display);
-                    }
+        const stopSpinner = () => {
+            clearInterval(spinTimer);
+            spinTimer = null;
+        };
 
-                    console.log(display);
+        loader.load = (query = '') => {
+            const id = ++request;
+            loader.status = 'loading';
+            loader.error = null;
+            if (!spinTimer) {
+                spinTimer = setInterval(() => {
+                    frame++;
+                    prompt.render();
+                }, spinner.interval);
+            }
+
+            Promise.resolve()
+                .then(() => source(query))
+                .then((choices) => {
+                    if (id !== request) return;
+                    stopSpinner();
+                    loader.status = 'ready';
+                    loader.choices = Array.isArray(choices) ? choices : [];
+                    onLoad(loader.choices);
+                    prompt.render();
+                }, (error) => {
+                    if (id !== request) return;
+                    stopSpinner();
+                    loader.status = 'error';
+                    loader.error = error;
+                    prompt.render();
                 });
+        };
 
-                const selectedCount = choices.filter(c => c.checked).length;
-                console.log();
-                console.log(this.styling.hex(theme.muted)(`Selected: ${selectedCount}`));
-                console.log(this.styling.hex(theme.muted)('Use ↑/↓ to navigate, Space to toggle, Enter to confirm'));
-            };
+        loader.search = (query, delay) => {
+            clearTimeout(debounceTimer);
+            debounceTimer = setTimeout(() => {
+                debounceTimer = null;
+                loader.load(query);
+            }, delay);
+            loader.query = query;
+        };
 
-            render();
-            this.startReadline();
-            readline.emitKeypressEvents(process.stdin, this.rl);
+        // Whether the choices for the latest query are still to come
+        loader.pending = () => debounceTimer !== null || loader.status === 'loading';
+
+        // Start a debounced search right away
+        loader.flush = () => {
+            if (debounceTimer === null) return;
+            clearTimeout(debounceTimer);
+            debounceTimer = null;
+            loader.load(loader.query);
+        };
 
-            if (process.stdin.isTTY) {
-                process.stdin.setRawMode(true);
+        loader.statusLine = () => {
+            if (loader.status === 'error') {
+                const reason = loader.error && loader.error.message ? loader.error.message : String(loader.error);
+                return this.styling.hex(theme.error)('❌ Could not load choices: ' + reason);
             }
+            return this.styling.hex(theme.muted)(spinner.frames[frame % spinner.frames.length] + ' Loading choices...');
+        };
 
-            const keyPressHandler = (char, key) => {
-                switch (key?.name) {
-                    case 'up':
-                        selectedIndex = selectedIndex > 0 ? selectedIndex - 1 : choices.length - 1;
-                        render();
-                        break;
-                    case 'down':
-                        selectedIndex = selectedIndex < choices.length - 1 ? selectedIndex + 1 : 0;
-                        render();
-                        break;
-                    case 'space':
-                        choices[selectedIndex].checked = !choices[selectedIndex].checked;
-                        render();
-                        break;
-                    case 'return':
-                        const selected = choices.filter(c => c.checked);
-
-                        // Validation
-                        if (selected.length < config.min) {
-                            console.log(this.styling.hex(theme.error)(`Please select at least ${config.min} options`));
-                            setTimeout(render, 1500);
-                            return;
-                        }
+        loader.dispose = () => {
+            request++;
+            stopSpinner();
+            clearTimeout(debounceTimer);
+        };
 
-                        if (config.max && selected.length > config.max) {
-                            console.log(this.styling.hex(theme.error)(`Please select at most ${config.max} options`));
-                            setTimeout(render, 1500);
-                            return;
-                        }
+        if (typeof source === 'function') {
+            loader.load();
+        } else {
+            loader.choices = source || [];
+            onLoad(loader.choices);
+        }
+        return loader;
+    }
 
-                        this.rl.input.removeAllListeners('keypress');
-                        if (process.stdin.isTTY) {
-                            process.stdin.setRawMode(false);
-                        }
-                        this.closeReadline();
-                        resolve(selected.map(choice => choice.value || choice.name));
-                        break;
-                    case 'escape':
-                        this.rl.input.removeAllListeners('keypress');
-                        if (process.stdin.isTTY) {
-                            process.stdin.setRawMode(false);
-                        }
-                        this.closeReadline();
-                        resolve([]);
-                        break;
-                }
-            };
+    /**
+     * Fuzzy-match a query against a choice's searchable fields.
+     * @private
+     * @returns {{score:number|null, positions:number[]}} The best score (null when no
+     *   field matches) and the matched character positions within the name.
+     */
+    matchChoice(query, choice, fields) {
+        let score = null;
+        let positions = [];
 
-            this.rl.input.on('keypress', keyPressHandler);
-        });
+        for (const field of fields) {
+            if (choice[field] === undefined || choice[field] === null) continue;
+            const match = this.fuzzyMatch(query, String(choice[field]));
+            if (!match) continue;
+            if (score === null || match.score > score) score = match.score;
+            if (field === 'name') positions = match.positions;
+        }
+
+        return { score, positions };
     }
 
     /**
-     * Ask for a yes/no confirmation.
-     * @param {object} [options]
-     * @param {string} [options.message='Confirm?']
-     * @param {boolean} [options.default=true]
-     * @returns {Promise<boolean>} true for yes, false for no.
+     * Case-insensitive fuzzy subsequence match. Consecutive characters and
+     * characters at word starts (after a separator or a camelCase hump) score
+     * higher; gaps and a late first match cost points.
+     * @private
+     * @returns {{score:number, positions:number[]}|null} null when `text` does
+     *   not contain every query character in order.
      */
-    async confirm(options = {}) {
-        const config = {
-            message: options.message || 'Confirm?',
-            default: options.default !== undefined ? options.default : true,
-            ...options
-        };
+    fuzzyMatch(query, text) {
+        const needle = query.toLowerCase();
+        const haystack = text.toLowerCase();
+        if (!needle) return { score: 0, positions: [] };
+        if (needle.length > haystack.length) return null;
 
-        const theme = this.styling.getTheme();
-        const defaultText = config.default ? '[Y/n]' : '[y/N]';
+        // scores[j][i]: best score for needle[0..j] with needle[j] matched at text[i]
+        const scores = [];
+        const previous = [];
 
-        const answer = await this.input({
-            message: config.message + ' ' + this.styling.hex(theme.muted)(defaultText),
-            validate: (value) => {
-                const lower = value.toLowerCase();
-                if (value === '' || ['y', 'yes', 'n', 'no'].includes(lower)) {
-                    return true;
+        for (let j = 0; j < needle.length; j++) {
+            scores.push(new Array(text.length).fill(-Infinity));
+            previous.push(new Array(text.length).fill(-1));
+
+            for (let i = j; i < text.length; i++) {
+                if (haystack[i] !== needle[j]) continue;
+                const bonus = this.matchBonus(text, i);
+
+                if (j === 0) {
+                    scores[j][i] = 1 + bonus - Math.min(i, 5) * 0.5;
+                    continue;
+                }
+
+                for (let k = j - 1; k < i; k++) {
+                    if (scores[j - 1][k] === -Infinity) continue;
+                    const gap = i - k - 1;
+                    const score = scores[j - 1][k] + 1 + (gap === 0 ? 6 : bonus - Math.min(gap, 5));
+                    if (score > scores[j][i]) {
+                        scores[j][i] = score;
+                        previous[j][i] = k;
+                    }
                 }
-                return 'Please enter y/yes or n/no';
-            },
-            transform: (value) => {
-                if (value === '') return config.default;
-                const lower = value.toLowerCase();
-                return ['y', 'yes'].includes(lower);
             }
-        });
+        }
 
-        return answer;
+        const last = scores[needle.length - 1];
+        let end = -1;
+        for (let i = 0; i < text.length; i++) {
+            if (last[i] > (end === -1 ? -Infinity : last[end])) end = i;
+        }
+        if (end === -1) return null;
+
+        const positions = [];
+        for (let j = needle.length - 1, i = end; j >= 0; i = previous[j][i], j--) {
+            positions.unshift(i);
+        }
+
+        // Prefer shorter texts when matches are otherwise equal
+        return { score: last[end] - text.length * 0.01, positions };
     }
 
     /**
-     * Run a multi-field form by prompting each field in order.
-     * @param {object} [options]
-     * @param {string} [options.title]
-     * @param {{name:string,label?:string,type?:'input'|'password'|'number'|'confirm'|'select'|'multiselect',choices?:Array,min?:number,max?:number,validate?:Function,required?:boolean}[]} [options.fields=[]]
-     * @returns {Promise<object>} Object keyed by field.name with entered values.
+     * Bonus for matching the character at `index`: start of text, start of a
+     * word or a camelCase hump.
+     * @private
      */
-    async form(options = {}) {
-        const config = {
-            title: options.title || 'Form',
-            fields: options.fields || [],
-            ...options
+    matchBonus(text, index) {
+        if (index === 0) return 8;
+        const before = text[index - 1];
+        const char = text[index];
+        if (!/[a-z0-9]/i.test(before)) return 7;
+        if (/[a-z]/.test(before) && /[A-Z]/.test(char)) return 6;
+        return 0;
+    }
+
+    /**
+     * Paint `text`, styling the characters at `positions` with `mark`.
+     * @private
+     */
+    highlightMatches(text, positions, paint, mark) {
+        if (!positions || positions.length === 0) return paint(text);
+
+        const matched = new Set(positions);
+        let output = '';
+        let run = '';
+        let runMatched = false;
+
+        for (let i = 0; i <= text.length; i++) {
+            const isMatch = matched.has(i);
+            if (i === text.length || (run && isMatch !== runMatched)) {
+                output += runMatched ? mark(run) : paint(run);
+                run = '';
+            }
+            if (i < text.length) {
+                run += text[i];
+                runMatched = isMatch;
+            }
+        }
+        return output;
+    }
+
+    /**
+     * Rows of a choice list that fit: pageSize, capped by the terminal height
+     * minus the `reserved` lines the prompt draws around the list.
+     * @private
+     */
+    visibleRows(config, reserved) {
+        return Math.max(1, Math.min(config.pageSize || 10, this.capabilities.terminalHeight - reserved));
+    }
+
+    /**
+     * Move a list cursor for a navigation key. Up/Down wrap around; Home, End,
+     * PageUp and PageDown stop at the ends. Rows failing `selectable`
+     * (separators, disabled choices) are skipped.
+     * @private
+     * @returns {number|null} The new index, or null when the key does not navigate.
+     */
+    navigateList(keyName, index, count, pageSize, selectable = () => true) {
+        const find = (from, step) => {
+            for (let i = from; i >= 0 && i < count; i += step) {
+                if (selectable(i)) return i;
+            }
+            return -1;
         };
+        const either = (...candidates) => {
+            const found = candidates.find(i => i !== -1);
+            return found === undefined ? index : found;
+        };
+
+        switch (keyName) {
+            case 'up': return either(find(index - 1, -1), find(count - 1, -1));
+            case 'down': return either(find(index + 1, 1), find(0, 1));
+            case 'home': return either(find(0, 1));
+            case 'end': return either(find(count - 1, -1));
+            case 'pageup': return either(find(Math.max(0, index - pageSize), -1), find(Math.max(0, index - pageSize), 1));
+            case 'pagedown': return either(find(Math.min(count - 1, index + pageSize), 1), find(Math.min(count - 1, index + pageSize), -1));
+            default: return null;
+        }
+    }
+
+    /**
+     * First visible row of a scrolling list: the window only moves when the
+     * cursor leaves it.
+     * @private
+     */
+    scrollTop(top, cursor, size, total) {
+        if (cursor < top) top = cursor;
+        if (cursor >= top + size) top = cursor - size + 1;
+        return Math.max(0, Math.min(top, total - size));
+    }
+
+    /**
+     * Render the visible window of a list with "↑ n more" / "↓ n more"
+     * indicators for the rows scrolled out of view.
+     * @private
+     */
+    renderWindow(items, top, size, renderItem) {
+        const muted = this.styling.hex(this.styling.getTheme().muted);
+        const lines = [];
+
+        if (top > 0) {
+            lines.push(muted(`  ↑ ${top} more`));
+        }
+        items.slice(top, top + size).forEach((item, offset) => {
+            lines.push(renderItem(item, top + offset));
+        });
+        if (top + size < items.length) {
+            lines.push(muted(`  ↓ ${items.length - top - size} more`));
+        }
+        return lines;
+    }
+
+    /**
+     * Whether the cursor can land on a choice: not a separator or disabled.
+     * @private
+     */
+    isSelectable(choice) {
+        return Boolean(choice) && !choice.separator && !choice.disabled;
+    }
+
+    /**
+     * Index of the first selectable choice, or -1 when there is none.
+     * @private
+     */
+    firstSelectable(choices) {
+        return choices.findIndex(choice => this.isSelectable(choice));
+    }
 
+    /**
+     * Render one row of a choice list: separators as a muted rule, disabled
+     * choices dimmed with their reason, and an optional `hint` right-aligned
+     * to the terminal width. `marker` (e.g. a checkbox) goes before the name,
+     * `indent` nests it (group children) and `positions` are fuzzy-match
+     * characters to highlight.
+     * @private
+     */
+    renderChoice(choice, isSelected, { marker, positions, indent = 0 } = {}) {
         const theme = this.styling.getTheme();
-        const results = {};
+        const muted = this.styling.hex(theme.muted);
 
-        if (config.title) {
-            console.log(this.styling.createBox(config.title, {
-                style: 'double',
-                borderColor: theme.primary,
-                padding: 1
-            }));
-            console.log();
+        if (choice.separator) {
+            const label = typeof choice.separator === 'string' ? choice.separator : choice.name;
+            return muted(label ? `  ── ${label} ──` : '  ──────────');
         }
 
-        for (const field of config.fields) {
-            const fieldConfig = {
-                message: field.label || field.name,
-                ...field
-            };
-
-            let value;
-            switch (field.type) {
-                case 'password':
-                    value = await this.password(fieldConfig);
-                    break;
-                case 'number':
-                    value = await this.number(fieldConfig);
-                    break;
-                case 'confirm':
-                    value = await this.confirm(fieldConfig);
-                    break;
-                case 'select':
-                    value = await this.select(fieldConfig);
-                    break;
-                case 'multiselect':
-                    value = await this.multiselect(fieldConfig);
-                    break;
-                default:
-                    value = await this.input(fieldConfig);
-            }
-
-            results[field.name] = value;
-            console.log(); // Add spacing between fields
+        const cursor = (isSelected ? '→ ' : '  ') + '  '.repeat(indent) + (marker ? marker + ' ' : '');
+        const name = String(choice.name);
+        let line;
+
+        if (choice.disabled) {
+            const reason = typeof choice.disabled === 'string' ? choice.disabled : 'disabled';
+            line = muted.dim(cursor + name + ` (${reason})`);
+        } else {
+            const paint = isSelected ? this.styling.hex(theme.primary).bold : this.styling.hex(theme.text);
+            const mark = isSelected ? this.styling.hex(theme.primary).bold.underline : this.styling.hex(theme.primary).bold;
+            line = paint(cursor) + this.highlightMatches(name, positions, paint, mark);
         }
 
-        return results;
+        if (choice.hint) {
+            const hint = String(choice.hint);
+            const gap = this.capabilities.terminalWidth - 1 - Renderer.width(line) - Renderer.width(hint);
+            line += ' '.repeat(Math.max(2, gap)) + muted(hint);
+        }
+        return line;
     }
 
-    // ============================================
-    // UTILITY METHODS
-    // ============================================
+    /**
+     * Lines describing the highlighted choice, shown under the list.
+     * @private
+     */
+    choiceDescription(choice) {
+        if (!choice || !choice.description) return [];
+        return ['', this.styling.hex(this.styling.getTheme().muted)(String(choice.description))];
+    }
 
     /**
-     * Lazily create the readline interface if not already created.
+     * Choices with multiselect groups replaced by their children.
      * @private
      */
-    startReadline() {
-        if (!this.rl) {
-            this.rl = readline.createInterface({
-                input: process.stdin,
-                output: process.stdout
-            });
+    flattenChoices(choices) {
+        return choices.flatMap(choice => Array.isArray(choice.choices) ? choice.choices : [choice]);
+    }
+
+    /**
+     * Resolve a choices function up front for non-interactive answers.
+     * @private
+     */
+    async resolveChoices(config) {
+        if (typeof config.choices !== 'function') return config;
+        const choices = await config.choices('');
+        return { ...config, choices: Array.isArray(choices) ? choices : [] };
+    }
+
+    /**
+     * Print a prompt's optional title box above its in-place block.
+     * @private
+     */
+    showPromptTitle(config) {
+        if (config.title) {
+            this.log(this.styling.createBox(config.title, {
+                style: 'rounded',
+                borderColor: this.styling.getTheme().primary,
+                padding: 1
+            }));
+            this.log();
         }
     }
 
     /**
-     * Close and reset the readline interface if open.
+     * Write a line to the output stream (console.log equivalent).
      * @private
      */
-    closeReadline() {
-        if (this.rl) {
-            this.rl.close();
-            this.rl = null;
+    log(...args) {
+        const text = util.format(...args);
+        this.rowsWritten += this.countRows(text);
+        this.stdout.write(text + '\n');
+    }
+
+    /**
+     * Terminal rows the given text occupies once its lines wrap.
+     * @private
+     */
+    countRows(text) {
+        const columns = this.capabilities.terminalWidth;
+        return String(text).split('\n')
+            .reduce((rows, line) => rows + Math.max(1, Math.ceil(Renderer.width(line) / columns)), 0);
+    }
+
+    /**
+     * Toggle raw mode on the input stream when it supports it.
+     * @private
+     */
+    setRawMode(enabled) {
+        if (this.stdin.isTTY && typeof this.stdin.setRawMode === 'function') {
+            this.stdin.setRawMode(enabled);
         }
     }
 
@@ -880,13 +4748,13 @@ class Questioner {
             let i = 0;
 
             const interval = setInterval(() => {
-                process.stdout.write('\r' + spinner.frames[i % spinner.frames.length] + ' ' + message);
+                this.stdout.write('\r' + spinner.frames[i % spinner.frames.length] + ' ' + message);
                 i++;
             }, spinner.interval);
 
             setTimeout(() => {
                 clearInterval(interval);
-                process.stdout.write('\r✅ ' + message + ' - Complete!\n');
+                this.stdout.write('\r✅ ' + message + ' - Complete!\n');
                 resolve();
             }, duration);
         });
@@ -910,10 +4778,10 @@ class Questioner {
                     showPercentage: true,
                     showFraction: true
                 });
-                process.stdout.write('\r' + message + ' ' + progress);
+                this.stdout.write('\r' + message + ' ' + progress);
 
                 if (current >= total) {
-                    process.stdout.write('\n');
+                    this.stdout.write('\n');
                 }
             },
             complete: () => {
@@ -923,7 +4791,7 @@ class Questioner {
                     showPercentage: true,
                     showFraction: true
                 });
-                process.stdout.write('\r✅ ' + message + ' ' + progress + '\n');
+                this.stdout.write('\r✅ ' + message + ' ' + progress + '\n');
             }
         };
     }
@@ -1,8 +1,18 @@
 #!/usr/bin/env node
 
 // Run with: node test.js
+// Runs interactively in a terminal; pass --headless (or pipe stdin, as CI
+// does) to replay the same flow through the TestDriver with scripted keys.
 
-const { Questioner, Table } = require('./exports');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    Questioner, Table, TestDriver, MissingAnswerError, InvalidAnswerError, PromptCancelledError,
+    PromptTimeoutError
+} = require('./exports');
+const Renderer = require('./UI/Renderer');
 
 async function quickTest() {
     console.clear();
@@ -80,8 +90,720 @@ async function quickTest() {
     }
 }
 
+async function headlessTest() {
+    const driver = new TestDriver({ columns: 80, rows: 30, questioner: { theme: 'dark' } });
+
+    const name = await driver.run(
+        (q) => q.input({
+            message: 'What is your name?',
+            validate: (value) => value.length > 0 || 'Name is required'
+        }),
+        ['enter', 'Ada', 'enter']
+    );
+    assert.strictEqual(name.answer, 'Ada');
+    assert.match(name.output, /Name is required/);
+    console.log('✅ input');
+
+    const secret = await driver.run(
+        (q) => q.password({ message: 'New password:', confirm: true, strength: true }),
+        [
+            'hunter', 'left', 'left', 'X', 'ctrl+r', 'ctrl+r', 'enter', 'hunterX', 'enter',
+            '\x1b[200~Correct-Horse9\r\x1b[201~', 'home', 'delete', 'C', 'enter', 'Correct-Horse9', 'enter'
+        ]
+    );
+    assert.strictEqual(secret.answer, 'Correct-Horse9');
+    assert.match(secret.frames[1], /New password: \*{6}\nStrength: █{2}░{8} Very weak$/);
+    assert.match(secret.frames[5], /New password: huntXer\n/); // revealed
+    assert.match(secret.frames[6], /New password: \*{7}\n/);
+    assert.match(secret.frames[7], /New password: \*{7}\n🔒 Confirm password:$/);
+    assert.match(secret.frames[9], /❌ Passwords do not match/);
+    assert.match(secret.frames[10], /New password: \*{14}\nStrength: █{10} Strong$/); // pasted line break ignored
+    assert.match(driver.snapshot(), /✔ New password › \*{14}$/);
+    assert.match(secret.output, /\x1b\[\?2004h/);
+    // Node < 18 reports paste markers unnamed, with their "~" as a separate key
+    const legacyPaste = await driver.run((q, d) => {
+        const answer = q.password({ message: 'Token:' });
+        const keys = [
+            [undefined, { sequence: '\x1b[200', name: 'undefined', code: '[200' }], ['~', { sequence: '~' }],
+            ['a', { sequence: 'a', name: 'a' }], ['\r', { sequence: '\r', name: 'return' }], ['b', { sequence: 'b', name: 'b' }],
+            [undefined, { sequence: '\x1b[201', name: 'undefined', code: '[201' }], ['~', { sequence: '~' }]
+        ];
+        keys.forEach(([char, key]) => d.stdin.emit('keypress', char, key));
+        return answer;
+    }, ['enter']);
+    assert.strictEqual(legacyPaste.answer, 'ab');
+    const checked = await driver.run((q) => q.password({
+        message: 'PIN:',
+        validate: async (value) => /^\d+$/.test(value) || 'Digits only'
+    }), ['abc', 'enter', '42', 'enter']);
+    assert.strictEqual(checked.answer, '42');
+    assert.match(checked.frames[2], /PIN:\n❌ Digits only$/); // awaited, not "[object Promise]"
+    const pipedOutput = new TestDriver({ columns: 80, rows: 30 });
+    pipedOutput.stdout.isTTY = false;
+    const plainPassword = await pipedOutput.run((q) => q.password({ message: 'Token:' }), ['pw', 'enter']);
+    assert.strictEqual(plainPassword.answer, 'pw');
+    assert.doesNotMatch(plainPassword.output, /\x1b\[\?2004/); // no bracketed paste without a terminal
+    console.log('✅ password');
+
+    const colors = await driver.run(
+        (q) => q.multiselect({
+            message: 'Pick your favorite colors:',
+            choices: [
+                { name: 'Red', value: 'red' },
+                { name: 'Green', value: 'green' },
+                { name: 'Blue', value: 'blue' }
+            ],
+            min: 1,
+            max: 3
+        }),
+        ['space', 'down', 'down', 'space', 'enter']
+    );
+    assert.deepStrictEqual(colors.answer, ['red', 'blue']);
+    assert.match(colors.frames[1], /Selected: 1/);
+
+    const letters = [{ name: 'A', value: 'a' }, { name: 'B', value: 'b' }, { name: 'C', value: 'c' }];
+    const bulk = await driver.run((q) => q.multiselect({ message: 'Letters:', choices: letters }), ['a', 'down', 'space', 'enter']);
+    assert.deepStrictEqual(bulk.answer, ['a', 'c']);
+    const services = [{ name: 'Backend', choices: [{ name: 'api' }, { name: 'worker' }] }, { name: 'docs' }];
+    const grouped = await driver.run((q) => q.multiselect({ message: 'Services:', choices: services }), ['space', 'down', 'space', 'enter']);
+    assert.deepStrictEqual(grouped.answer, ['worker']);
+    assert.match(grouped.frames[0], /→ ☐ ▾ Backend {2,}0\/2\n    ☐ api/);
+    assert.match(grouped.frames[3], /⊟ ▾ Backend {2,}1\/2/);
+    const filtered = await driver.run(
+        (q) => q.multiselect({ message: 'Services:', choices: services }),
+        ['/', 'doc', 'enter', 'i', 'escape', 'enter']
+    );
+    assert.deepStrictEqual(filtered.answer, ['docs']);
+    assert.match(filtered.frames[2], /Filter: doc\n\n→ ☐ docs\n\n/);
+    console.log('✅ multiselect');
+
+    const framework = await driver.run(
+        (q) => q.select({
+            message: 'Framework:',
+            choices: [{ name: 'React', value: 'react' }, { name: 'Vue', value: 'vue' }]
+        }),
+        ['down', 'enter']
+    );
+    assert.strictEqual(framework.answer, 'vue');
+    assert.match(framework.frames[1], /→ Vue/);
+    // Rendered in place: earlier answers stay on screen and the prompt collapses to a summary
+    assert.match(driver.snapshot(), /✔ Services › docs\n✔ Framework › Vue$/);
+    assert.doesNotMatch(driver.snapshot(), /→ React/);
+
+    const items = Array.from({ length: 30 }, (_, i) => ({ name: `Item ${i + 1}`, value: i + 1 }));
+    const paged = await driver.run((q) => q.select({ message: 'Item:', choices: items, pageSize: 5 }), ['pagedown', 'end', 'up', 'enter']);
+    assert.strictEqual(paged.answer, 29);
+    assert.match(paged.frames[0], /→ Item 1\n(  Item \d\n){4}  ↓ 25 more/);
+    assert.match(paged.frames[1], /↑ 1 more\n  Item 2\n[\s\S]*→ Item 6\n  ↓ 24 more/);
+    assert.match(paged.frames[2], /↑ 25 more[\s\S]*→ Item 30\n\n/);
+
+    const environments = [
+        { separator: 'Staging' },
+        { name: 'staging', description: 'Shared test environment', hint: 'eu-west-1' },
+        { separator: true },
+        { name: 'prod', disabled: 'locked: freeze in effect' },
+        { name: 'dr', hint: 'us-east-1' }
+    ];
+    const target = await driver.run((q) => q.select({ message: 'Deploy to:', choices: environments }), ['down', 'enter']);
+    assert.strictEqual(target.answer, 'dr');
+    assert.match(target.frames[0], /── Staging ──\n→ staging {2,}eu-west-1\n/);
+    assert.match(target.frames[0], /  prod \(locked: freeze in effect\)/);
+    assert.match(target.frames[0], /Shared test environment/);
+    assert.doesNotMatch(target.frames[1], /Shared test environment/);
+    console.log('✅ select');
+
+    const searched = await driver.run(
+        (q) => q.select({
+            message: 'Language:',
+            searchable: true,
+            choices: [{ name: 'JavaScript', value: 'js' }, { name: 'Python', value: 'py' }]
+        }),
+        ['pyt', 'enter']
+    );
+    assert.strictEqual(searched.answer, 'py');
+
+    const fuzzy = await driver.run(
+        (q) => q.select({
+            message: 'Library:',
+            searchable: true,
+            choices: [{ name: 'Preact' }, { name: 'Redux' }, { name: 'React' }]
+        }),
+        ['rct', 'enter']
+    );
+    assert.strictEqual(fuzzy.answer, 'React');
+    assert.match(fuzzy.frames[1], /→ React\n  Preact$/);
+    const described = await driver.run(
+        (q) => q.select({
+            message: 'Database:',
+            searchable: true,
+            searchFields: ['name', 'description'],
+            choices: [{ name: 'Redis', description: 'key-value store' }, { name: 'Postgres', description: 'relational database' }]
+        }),
+        ['relational', 'enter']
+    );
+    assert.strictEqual(described.answer, 'Postgres');
+    console.log('✅ searchable select');
+
+    const later = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+    const lazy = await driver.run(
+        (q) => q.select({ message: 'Env:', choices: () => later(60, [{ name: 'Dev', value: 'dev' }, { name: 'Prod', value: 'prod' }]) }),
+        [{ wait: 100 }, 'down', 'enter']
+    );
+    assert.strictEqual(lazy.answer, 'prod');
+    assert.match(lazy.frames[0], /Loading choices/);
+    const eager = await driver.run(
+        (q) => q.select({ message: 'Env:', choices: () => later(60, [{ name: 'Dev', value: 'dev' }, { name: 'Prod', value: 'prod' }]) }),
+        ['down', 'enter', { wait: 100 }, 'enter'] // keys before the choices arrive are ignored
+    );
+    assert.strictEqual(eager.answer, 'dev');
+    const unreachable = await driver.run(
+        (q) => q.select({ message: 'Env:', choices: async () => { throw new Error('offline'); } }),
+        ['enter', 'escape']
+    ).catch(error => error);
+    assert.ok(unreachable instanceof PromptCancelledError);
+    assert.match(unreachable.frames[1], /Could not load choices: offline/);
+    const queries = [];
+    const remote = await driver.run(
+        (q) => q.select({
+            message: 'User:',
+            searchable: true,
+            debounce: 30,
+            choices: async (query) => {
+                queries.push(query);
+                return ['ann', 'bob', 'anna'].filter(name => name.includes(query)).map(name => ({ name }));
+            }
+        }),
+        ['an', { wait: 60 }, 'down', 'enter']
+    );
+    assert.strictEqual(remote.answer, 'anna');
+    assert.deepStrictEqual(queries, ['', 'an']);
+    const hasty = await driver.run(
+        (q) => q.select({
+            message: 'User:',
+            searchable: true,
+            debounce: 500,
+            choices: async (query) => ['ann', 'bob', 'anna'].filter(name => name.includes(query)).map(name => ({ name }))
+        }),
+        [{ wait: 30 }, 'b', 'enter'] // Enter within the debounce window
+    );
+    assert.strictEqual(hasty.answer, 'bob');
+    const failed = await driver.run(
+        (q) => q.multiselect({ message: 'Tags:', choices: async () => { throw new Error('offline'); } }),
+        ['escape']
+    ).catch(error => error);
+    assert.ok(failed instanceof PromptCancelledError);
+    assert.match(failed.frames[0], /Could not load choices: offline/);
+    console.log('✅ async choices');
+
+    const age = await driver.run((q) => q.number({ message: 'Age:', min: 1, max: 120 }), ['200', 'enter', '36', 'enter']);
+    assert.strictEqual(age.answer, 36);
+    console.log('✅ number');
+
+    const confirmed = await driver.run((q) => q.confirm({ message: 'Like programming?' }), ['n', 'enter']);
+    assert.strictEqual(confirmed.answer, false);
+    console.log('✅ confirm');
+
+    const hunkActions = [
+        { key: 'y', name: 'Stage this hunk', value: 'stage' },
+        { key: 'n', name: 'Skip this hunk', value: 'skip' },
+        { key: 'a', name: 'Stage all', value: 'all' }
+    ];
+    const hunk = await driver.run((q) => q.expand({ message: 'Stage this hunk?', choices: hunkActions, default: 'n' }), ['x', '?', 'a']);
+    assert.strictEqual(hunk.answer, 'all');
+    assert.match(hunk.frames[0], /Stage this hunk\? \(yNa\?\)$/);
+    assert.match(hunk.frames[1], /❌ Press one of y, n, a, or \? for help/);
+    assert.match(hunk.frames[2], / {2}y\) Stage this hunk\n {2}n\) Skip this hunk\n {2}a\) Stage all\n {2}\?\) Hide this help/);
+    assert.match(driver.snapshot(), /✔ Stage this hunk\? › Stage all$/);
+    const skipped = await driver.run((q) => q.expand({ message: 'Stage?', choices: hunkActions, default: 'skip' }), ['enter']);
+    assert.strictEqual(skipped.answer, 'skip');
+    for (const stray of ['x', 'down']) {
+        const fallback = await driver.run((q) => q.expand({ message: 'Stage?', choices: hunkActions, default: 'n' }), [stray, 'enter']);
+        assert.strictEqual(fallback.answer, 'skip'); // a key that is no hotkey leaves the default in place
+        assert.match(driver.snapshot(), /✔ Stage\? › Skip this hunk$/);
+    }
+    await assert.rejects(driver.createQuestioner().expand({ choices: [{ key: '?', name: 'Help' }] }), /single, unique characters/);
+
+    const telemetry = await driver.run((q) => q.toggle({ message: 'Telemetry:' }), ['right', 'space', 'y', 'enter']);
+    assert.strictEqual(telemetry.answer, true);
+    assert.match(telemetry.frames[0], /Telemetry: Off ●━━ On\n/);
+    assert.match(telemetry.frames[1], /Telemetry: Off ━━● On\n/);
+    assert.match(telemetry.frames[2], /Off ●━━ On/);
+    assert.match(driver.snapshot(), /✔ Telemetry › On$/);
+    console.log('✅ expand and toggle');
+
+    const due = await driver.run(
+        (q) => q.date({ message: 'Due:', default: '2026-03-10', min: '2026-03-05', max: '2026-04-30', output: 'iso' }),
+        ['right', 'down', 'pagedown', 'enter']
+    );
+    assert.strictEqual(due.answer, '2026-04-18');
+    assert.match(due.frames[0], /‹ March 2026 ›\n Mo  Tu  We  Th  Fr  Sa  Su\n {26}1\n/);
+    assert.match(due.frames[0], /  9 \[10\] 11/);
+    assert.match(due.frames[3], /‹ April 2026 ›[\s\S]* 17 \[18\] 19/);
+    const early = await driver.run(
+        (q) => q.date({ message: 'Due:', default: '2026-03-10', min: '2026-03-05' }),
+        ['2026-03-01', 'enter', 'escape', 'left', 'enter']
+    );
+    assert.deepStrictEqual(early.answer, new Date(2026, 2, 9));
+    assert.match(early.frames[2], /❌ Date must be on or after 2026-03-05[\s\S]* Go to: 2026-03-01$/);
+    const window = await driver.run(
+        (q) => q.date({ message: 'Window:', time: true, minuteStep: 15, default: '2026-03-10 09:30' }),
+        ['tab', 'up', 'right', 'down', 'enter']
+    );
+    assert.deepStrictEqual(window.answer, new Date(2026, 2, 10, 10, 15));
+    assert.match(window.frames[4], / Time: 10:\[15\]/);
+    // Freeze "now" at the end of a month so relative dates don't depend on the day the tests run
+    const RealDate = Date;
+    const now = new RealDate(2026, 2, 31, 23, 50).getTime();
+    global.Date = class extends RealDate {
+        constructor(...args) {
+            super(...(args.length ? args : [now]));
+        }
+        static now() {
+            return now;
+        }
+    };
+    try {
+        const relative = await driver.run((q) => q.date({ message: 'Start:', output: 'epoch' }), ['tomorrow', 'enter']);
+        assert.strictEqual(relative.answer, new RealDate(2026, 3, 1).getTime());
+        assert.match(relative.frames[0], /‹ March 2026 ›[\s\S]* 30 \[31\]/);
+        assert.match(relative.frames[1], /‹ April 2026 ›[\s\S]*\[ 1\]/);
+    } finally {
+        global.Date = RealDate;
+    }
+    console.log('✅ date');
+
+    const replicas = await driver.run(
+        (q) => q.slider({ message: 'Replicas:', min: 1, max: 20, default: 3, unit: ' pods', ticks: [1, 10, 20] }),
+        ['right', 'shift+right', 'end', 'left', '1', '2', 'enter']
+    );
+    assert.strictEqual(replicas.answer, 12);
+    assert.match(replicas.frames[0], / {2}███░{27} 3 pods\n {2}1 {13}10 {12}20\n/);
+    assert.strictEqual(replicas.frames.slice(1, 5).map(frame => frame.match(/(\d+) pods/)[1]).join(), '4,6,20,19');
+    assert.match(replicas.frames[6], /█{17}░{13} 12 pods[\s\S]* Go to: 12$/);
+    const opacity = await driver.run((q) => q.slider({ message: 'Opacity:', min: 0, max: 1, step: 0.1, default: 0.5 }), ['right', 'right', 'enter']);
+    assert.strictEqual(opacity.answer, 0.7);
+    const clamped = await driver.run((q) => q.slider({ message: 'Opacity:', max: 1 }), ['5', 'enter', 'escape', 'enter']);
+    assert.strictEqual(clamped.answer, 0);
+    assert.match(clamped.frames[2], /❌ Number must be between 0 and 1/);
+    console.log('✅ slider');
+
+    const stars = await driver.run(
+        (q) => q.rating({ message: 'Sprint:', labels: ['Awful', 'Poor', 'OK', 'Good', 'Great'] }),
+        ['enter', 'right', '4', 'left', 'enter']
+    );
+    assert.strictEqual(stars.answer, 3);
+    assert.match(stars.frames[1], /❌ Please choose a rating/);
+    assert.match(stars.frames[3], / {2}★★★★☆ Good\n/);
+    assert.match(driver.snapshot(), /✔ Sprint › ★★★☆☆$/);
+    const nps = await driver.run((q) => q.rating({ message: 'NPS:', max: 10, style: 'numbers' }), ['0', 'left', 'enter']);
+    assert.strictEqual(nps.answer, 9);
+    assert.match(nps.frames[1], / 9 \[10\]/);
+
+    const retro = await driver.run(
+        (q) => q.likert({
+            message: 'Retro:',
+            statements: ['Goals were clear', { name: 'pace', message: 'The pace was sustainable' }, 'I would repeat it']
+        }),
+        ['4', 'right', 'space', 'enter', 'left', 'space', 'enter']
+    );
+    assert.deepStrictEqual(retro.answer, { 'Goals were clear': 4, pace: 5, 'I would repeat it': 4 });
+    assert.match(retro.frames[0], / {27}1 {3}2 {3}3 {3}4 {3}5\n→ Goals were clear {8}\[○\]/);
+    assert.match(retro.frames[2], /→ The pace was sustainable ○ {3}○ {3}○ {3}○ {2}\[○\]/);
+    assert.match(retro.frames[4], /❌ Please answer every statement/);
+    assert.match(driver.snapshot(), /✔ Retro › 3\/3 answered$/);
+    console.log('✅ rating and likert');
+
+    const steps = [
+        { name: 'Backup database', value: 'backup' },
+        { name: 'Run migrations', value: 'migrate' },
+        { name: 'Deploy', value: 'deploy' },
+        { name: 'Notify', value: 'notify', disabled: 'always last' }
+    ];
+    const ranked = await driver.run((q) => q.rank({ message: 'Order:', choices: steps }), ['down', 'down', 'space', 'up', 'up', 'space', 'end', 'space', 'enter']);
+    assert.deepStrictEqual(ranked.answer, ['deploy', 'backup', 'migrate', 'notify']);
+    assert.match(ranked.frames[4], / {4}1\. Backup database\n→ ↕ 2\. Deploy\n {4}3\. Run migrations/);
+    assert.match(ranked.frames[6], /→ {3}1\. Deploy\n/);
+    assert.doesNotMatch(ranked.frames[8], /↕/); // disabled items cannot be picked up
+    assert.match(driver.snapshot(), /✔ Order › Deploy, Backup database, Run migrations, Notify$/);
+    const timedOrder = await driver.run((q) => q.sort({ message: 'Order:', choices: steps, default: 'migrate, backup, deploy, notify', timeout: 100 }));
+    assert.deepStrictEqual(timedOrder.answer, ['migrate', 'backup', 'deploy', 'notify']);
+    assert.match(driver.snapshot(), /✔ Order › Run migrations, Backup database, Deploy, Notify$/);
+    await assert.rejects(driver.run((q) => q.sort({ message: 'Order:', choices: steps, default: 'deploy', timeout: 100 })), InvalidAnswerError);
+    console.log('✅ sort');
+
+    const legacy = await driver.run((q) => q.askQuestion('Enter name again?'), ['Ada', 'enter']);
+    assert.strictEqual(legacy.answer, 'Ada');
+    const tasks = await driver.run((q) => q.askMultilineQuestion('Tasks:', ' - '), ['Q', 'enter', 'b', 'ctrl+d']);
+    assert.strictEqual(tasks.answer, ' - Q\n - b\n');
+    console.log('✅ backward compatibility');
+
+    const notes = await driver.run(
+        (q) => q.multiline({ message: 'Notes:', format: 'raw', lineNumbers: true, maxLines: 3 }),
+        ['one', 'enter', 'three', 'up', 'end', 'enter', 'two', 'down', 'home', 'backspace', 'enter', 'enter', 'ctrl+d']
+    );
+    assert.strictEqual(notes.answer, 'one\ntwo\nthree');
+    assert.match(notes.frames[7], / 1 │ one\n 2 │ two\n 3 │ three\n3\/3 lines/);
+    assert.match(notes.frames[10], / 1 │ one\n 2 │ twothree\n2\/3 lines/);
+    assert.match(notes.frames[12], /Maximum 3 lines/);
+
+    // A stand-in editor: answers too briefly the first time, then once the error comment
+    // appears reads the summary line from the driver's keyboard and fills in the rest
+    const fakeEditor = path.join(os.tmpdir(), `quizzer-editor-${process.pid}.js`);
+    fs.writeFileSync(fakeEditor, [
+        "const fs = require('fs');",
+        'const file = process.argv[2];',
+        "process.stdout.write('Editing ' + require('path').basename(file) + '\\n');",
+        "if (!fs.readFileSync(file, 'utf8').includes('# Too short')) fs.writeFileSync(file, 'Fix');",
+        "else process.stdin.once('data', (line) => {",
+        "    fs.writeFileSync(file, String(line).trim() + '\\n\\nSession expired too early\\n# ignored\\n');",
+        '    process.exit(0);',
+        '});'
+    ].join('\n'));
+    const savedVisual = process.env.VISUAL;
+    process.env.VISUAL = `${process.execPath} ${fakeEditor}`;
+    try {
+        const message = await driver.run((q) => q.editor({
+            message: 'Commit message:',
+            default: '# Describe the change\n',
+            validate: (value) => value.includes('\n') || 'Too short'
+        }), [{ wait: 800 }, { text: 'Fix login\n' }]);
+        assert.strictEqual(message.answer, 'Fix login\n\nSession expired too early');
+        assert.match(message.output, /Editing answer\.txt/); // the editor drew on the driver's terminal
+        assert.match(driver.snapshot(), /❌ Too short\nEditing answer\.txt\n✔ Commit message › 3 lines/);
+    } finally {
+        if (savedVisual === undefined) delete process.env.VISUAL;
+        else process.env.VISUAL = savedVisual;
+        fs.rmSync(fakeEditor, { force: true });
+    }
+    console.log('✅ editor');
+
+    const project = fs.mkdtempSync(path.join(os.tmpdir(), 'quizzer-path-'));
+    try {
+        fs.mkdirSync(path.join(project, 'src', 'lib'), { recursive: true });
+        for (const file of ['src/index.js', 'src/notes.md', 'README.md', '.env']) {
+            fs.writeFileSync(path.join(project, file), '');
+        }
+        const entry = await driver.run(
+            (q) => q.path({ message: 'Entry:', cwd: project, extensions: ['.js'] }),
+            ['src', 'enter', 'down', 'left', 'right', 'down', 'enter']
+        );
+        assert.strictEqual(entry.answer, path.join(project, 'src', 'index.js'));
+        assert.match(entry.frames[0], /\n {2}📁 \.\.\n→ 📁 src\/\n\n/); // README.md filtered out, .env hidden
+        assert.match(entry.frames[1], /→ 📁 src\/\n[\s\S]* Filter: src$/);
+        assert.match(entry.frames[2], /quizzer-path-\w+\/src\n\n {2}📁 \.\.\n→ 📁 lib\/\n {2}📄 index\.js\n/);
+        assert.match(entry.frames[4], /→ 📁 src\//); // going up lands on the directory we left
+        assert.match(driver.snapshot(), /✔ Entry › src\/index\.js$/);
+
+        const output = await driver.run(
+            (q) => q.path({ message: 'Output:', cwd: project, directoryOnly: true }),
+            ['dist', 'enter', 'escape', 'enter']
+        );
+        assert.strictEqual(output.answer, project);
+        assert.match(output.frames[2], /❌ No such file or directory: .*dist/);
+        assert.match(output.frames[3], /→ 📁 \. \(this directory\)\n {2}📁 \.\.\n {2}📁 src\//);
+        const created = await driver.run((q) => q.path({ cwd: project, mustExist: false }), ['build.log', 'enter']);
+        assert.strictEqual(created.answer, path.join(project, 'build.log'));
+
+        const preset = new Questioner({ nonInteractive: true, answers: { out: 'src' } });
+        assert.strictEqual(await preset.path({ name: 'out', cwd: project, directoryOnly: true }), path.join(project, 'src'));
+        await assert.rejects(preset.path({ name: 'spec', cwd: project, default: 'missing.md' }), InvalidAnswerError);
+    } finally {
+        fs.rmSync(project, { recursive: true, force: true });
+    }
+    console.log('✅ path');
+
+    const phone = await driver.run(
+        (q) => q.input({ message: 'Phone:', mask: '(999) 999-9999' }),
+        ['55x5', '1234', 'enter', '567', 'backspace', 'left', '9', 'enter']
+    );
+    assert.strictEqual(phone.answer, '(555) 123-4596');
+    assert.match(phone.frames[0], /Phone: \(___\) ___-____$/);
+    assert.match(phone.frames[1], /Phone: \(555\) ___-____$/); // letters are refused
+    assert.match(phone.frames[3], /❌ Please complete the value/);
+    const address = await driver.run(
+        (q) => q.input({ message: 'IP:', mask: 'ipv4' }),
+        ['10.0.300.1', 'enter', 'left', 'left', 'backspace', 'backspace', '1', 'enter']
+    );
+    assert.strictEqual(address.answer, '10.0.10.1');
+    assert.match(address.frames[1], /IP: 10_\.0__\.300\.1__$/);
+    assert.match(address.frames[2], /❌ Each part of an IPv4 address must be 0-255/);
+    const birthday = await driver.run((q) => q.input({ message: 'Date:', mask: '99/99/9999', maskValue: 'raw' }), ['24/12/2026', 'enter']);
+    await assert.rejects(driver.run((q) => q.input({ message: 'Code:', mask: '--' }), ['right', 'end']), /has no slots/);
+    assert.strictEqual(birthday.answer, '24122026');
+    console.log('✅ masked input');
+
+    const historyFile = path.join(os.tmpdir(), `quizzer-history-${process.pid}.json`);
+    const recaller = driver.createQuestioner({ historyFile, historySize: 2 });
+    try {
+        for (const host of ['alpha', 'beta', 'gamma']) {
+            await driver.run(() => recaller.input({ message: 'Host:', history: 'hosts' }), [host, 'enter']);
+        }
+        const recalled = await driver.run(() => recaller.askQuestion('Host:', undefined, { history: 'hosts' }), ['up', 'up', 'enter']);
+        assert.strictEqual(recalled.answer, 'beta');
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(historyFile, 'utf8')), { hosts: ['beta', 'gamma'] });
+    } finally {
+        fs.rmSync(historyFile, { force: true });
+    }
+    console.log('✅ input history');
+
+    const branches = ['main', 'master', 'feature/login'];
+    const complete = async (text) => branches.filter(branch => branch.startsWith(text));
+    const branch = await driver.run((q) => q.input({ message: 'Branch:', complete }), ['m', 'tab', 'tab', 'tab', 'enter', 'enter']);
+    assert.strictEqual(branch.answer, 'master');
+    assert.match(branch.frames[1], /Branch: main$/); // ghost text
+    assert.match(branch.frames[2], /Branch: ma\n  main\n  master$/);
+    assert.match(branch.frames[4], /→ master/);
+    const ghosted = await driver.run((q) => q.input({ message: 'Branch:', complete }), ['fe', 'right', 'enter']);
+    assert.strictEqual(ghosted.answer, 'feature/login');
+    console.log('✅ tab completion');
+
+    const form = await driver.run(
+        (q) => q.form({
+            title: 'Form',
+            fields: [
+                { name: 'project', type: 'input' },
+                { name: 'open', type: 'confirm', default: false }
+            ]
+        }),
+        ['demo', 'enter', 'y', 'enter']
+    );
+    assert.deepStrictEqual(form.answer, { project: 'demo', open: true });
+
+    const onboardingFields = [
+        { name: 'team', type: 'select', choices: [{ name: 'web' }, { name: 'data' }] },
+        { name: 'useDatabase', label: 'Use database?', type: 'confirm', default: (answers) => answers.team === 'data' },
+        {
+            name: 'database',
+            type: 'group',
+            label: 'Database',
+            when: (answers) => answers.useDatabase,
+            fields: [
+                {
+                    name: 'engine',
+                    type: 'select',
+                    choices: async (answers) => answers.team === 'data' ? [{ name: 'postgres' }, { name: 'clickhouse' }] : [{ name: 'sqlite' }]
+                },
+                { name: 'host', label: (answers) => `Host for ${answers.database.engine}:`, default: 'localhost' }
+            ]
+        },
+        { name: 'cache', type: 'confirm', when: (answers) => !answers.useDatabase }
+    ];
+    const onboarding = await driver.run((q) => q.form({ title: 'Onboarding', fields: onboardingFields }), ['down', 'enter', 'enter', 'down', 'enter', 'enter']);
+    assert.deepStrictEqual(onboarding.answer, { team: 'data', useDatabase: true, database: { engine: 'clickhouse', host: 'localhost' } });
+    assert.match(onboarding.frames[2], /Use database\? \[Y\/n\]/); // default derived from the team
+    assert.match(onboarding.frames[5], /Database\n✔ engine › clickhouse\n\n❓ Host for clickhouse:/);
+    const withoutDatabase = await driver.run((q) => q.form({ title: '', fields: onboardingFields }), ['enter', 'enter', 'y', 'enter']);
+    assert.deepStrictEqual(withoutDatabase.answer, { team: 'web', useDatabase: false, cache: true });
+    console.log('✅ form');
+
+    const accountFields = [
+        { name: 'user', label: 'User:' },
+        { name: 'secret', type: 'password', label: 'Secret:' },
+        { name: 'team', type: 'select', choices: [{ name: 'web' }, { name: 'data' }] }
+    ];
+    const account = await driver.run(
+        (q) => q.form({ title: '', review: true, fields: accountFields }),
+        [
+            'ada', 'enter', 'ctrl+b', 'l', 'enter', // back to user, pre-filled
+            'pw', 'enter', 'shift+tab', 'x', 'enter', // back to secret, pre-filled
+            'down', 'enter',
+            'down', 'enter', 'backspace', 'enter', // review: edit secret
+            'down', 'down', 'down', 'enter' // review: submit
+        ]
+    );
+    assert.deepStrictEqual(account.answer, { user: 'adal', secret: 'pw', team: 'data' });
+    assert.match(account.frames[3], /User:\s+ada$/);
+    assert.match(account.frames[8], /Secret: \*\*$/);
+    assert.match(account.frames[12], /│ Secret\s+│ \*{8} │\n│ team\s+│ data\s+│\n│ ✔ Submit/);
+    assert.doesNotMatch(account.frames[12], /pwx/);
+    assert.match(account.frames[14], /Secret: \*\*\*$/); // picked row re-asked with its answer
+    const retried = await driver.run(
+        (q) => q.form({
+            title: '',
+            fields: [
+                { name: 'team', type: 'select', choices: [{ name: 'web' }, { name: 'data' }] },
+                { name: 'user', label: 'User:', validate: (value) => value.length >= 2 || 'Too short' },
+                { name: 'secret', type: 'password', label: 'Secret:' }
+            ]
+        }),
+        ['enter', 'ada', 'enter', 'ctrl+b', 'backspace', 'backspace', 'enter', 'bo', 'enter', 'pw', 'enter']
+    );
+    assert.deepStrictEqual(retried.answer, { team: 'web', user: 'bo', secret: 'pw' });
+    assert.match(retried.frames[4], /✔ team › web\n\n❓ User:\s+ada$/); // earlier answer erased, then pre-filled
+    assert.match(retried.frames[7], /❌ Too short\n❓ User:$/); // the retry starts empty
+    // Icons off: the virtual screen draws ❓ one column wide where terminals use two
+    const plain = new TestDriver({ columns: 80, rows: 30, questioner: { icons: false } });
+    await plain.run((q) => q.input({ message: 'Before:' }), ['x', 'enter']);
+    let untouched = false;
+    const wrapped = await plain.run(
+        (q) => {
+            const write = q.stdout.write;
+            return q.form({
+                title: '',
+                fields: [
+                    {
+                        name: 'note',
+                        label: 'A label long enough to wrap onto a second row of the eighty column screen:',
+                        validate: () => {
+                            untouched = q.stdout.write === write; // the stream is left alone
+                            return true;
+                        }
+                    },
+                    { name: 'ok', type: 'confirm', label: 'Done?' }
+                ]
+            });
+        },
+        ['hello world', 'enter', 'ctrl+b', 'enter', 'y', 'enter']
+    );
+    assert.deepStrictEqual(wrapped.answer, { note: 'hello world', ok: true });
+    assert.ok(untouched);
+    // Going back erased both rows of the wrapped answer, and nothing above them
+    assert.match(wrapped.frames[3], /^Before: x\nA label[^\n]*hello\n world$/);
+    console.log('✅ form back navigation and review');
+
+    const table = driver.createTable({ theme: 'dark' })
+        .setTitle('Results')
+        .setColumns([{ name: 'field', label: 'Field' }, { name: 'value', label: 'Value' }])
+        .setRows([
+            { field: 'Name', value: name.answer },
+            { field: 'Age', value: String(age.answer) }
+        ]);
+    const row = await driver.run(() => table.showTableMenu(), ['down', 'enter']);
+    assert.strictEqual(row.answer, 1);
+    assert.match(row.frames[0], /│ Name/);
+    // A word that exactly fills its cell stays whole on one line
+    driver.createTable({ theme: 'dark' })
+        .setColumns([{ name: 'code', label: 'Code', width: 10 }])
+        .setRows([{ code: '12345678' }, { code: 'ab cdefg' }])
+        .render();
+    assert.match(driver.snapshot(), /│ 12345678 │\n│ ab cdefg │\n└/);
+    console.log('✅ table menu');
+
+    // Emoji-presentation symbols take two columns like CJK; text symbols take one
+    for (const symbol of ['❓', '⌛', '⭐', '✅', '❌', '⚡', '🧪', '漢']) {
+        assert.strictEqual(Renderer.width(symbol), 2, symbol);
+    }
+    assert.strictEqual(Renderer.width('✔ ❯ ★ ☐'), 7);
+    assert.strictEqual(Renderer.width('\x1b[32m✅ ok\x1b[0m'), 5);
+    console.log('✅ text width');
+
+    const choices = [{ name: 'A', value: 'a' }, { name: 'B', value: 'b' }];
+    const cancelled = (reason) => (error) => error instanceof PromptCancelledError && error.reason === reason;
+    await assert.rejects(driver.run((q) => q.select({ message: 'Pick:', choices }), ['escape']), cancelled('escape'));
+    await assert.rejects(driver.run((q) => q.multiselect({ message: 'Pick:', choices }), ['escape']), cancelled('escape'));
+    await assert.rejects(driver.run((q) => q.password({ message: 'Secret:' }), ['abc', 'ctrl+c']), cancelled('interrupt'));
+    await assert.rejects(driver.run((q) => q.input({ message: 'Name:' }), ['ctrl+c']), cancelled('interrupt'));
+    if (typeof AbortController === 'function') { // Node 15+
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 30);
+        await assert.rejects(driver.run((q) => q.input({ message: 'Name:', signal: controller.signal })), cancelled('abort'));
+    }
+    await assert.rejects(driver.run(() => table.showTableMenu(), ['escape']), cancelled('escape'));
+    const menu = await driver.run((q) => q.showMenu('Choose:', { a: 'A' }), ['escape']);
+    assert.strictEqual(menu.answer, null);
+    assert.strictEqual(driver.stdin.isRaw, false);
+    console.log('✅ cancellation');
+
+    const proceed = await driver.run((q) => q.confirm({ message: 'Proceed?', timeout: 1200 }), [{ wait: 1100 }]);
+    assert.strictEqual(proceed.answer, true);
+    assert.match(proceed.frames[0], /Proceed\? \[Y\/n\] \(2s\)/);
+    assert.match(proceed.frames[1], /\(1s\)/);
+    const env = await driver.run((q) => q.select({ message: 'Env:', choices, default: 'b', timeout: 100 }));
+    assert.strictEqual(env.answer, 'b');
+    const slowChoices = () => new Promise((resolve) => setTimeout(() => resolve(choices), 300));
+    const loading = await driver.run((q) => q.select({ message: 'Env:', choices: slowChoices, default: 'b', timeout: 100 }));
+    assert.strictEqual(loading.answer, 'b'); // expired while the choices were still loading
+    assert.match(driver.snapshot(), /✔ Env › b/);
+    assert.strictEqual(driver.stdin.isRaw, false);
+    assert.strictEqual(driver.stdin.listenerCount('keypress'), 0);
+    await assert.rejects(driver.run((q) => q.input({ message: 'Host:', timeout: 100 })), PromptTimeoutError);
+    const typed = await driver.run((q) => q.number({ message: 'Replicas:', timeout: 100 }), ['3', { wait: 150 }, 'enter']);
+    assert.strictEqual(typed.answer, 3);
+    // A run that times out leaves the driver usable; prompts given its signal are cancelled
+    const impatient = new TestDriver({ columns: 80, rows: 30, timeout: 100 });
+    await assert.rejects(impatient.run((q) => q.input({ message: 'Host:' })), /did not settle/);
+    let stale = null;
+    await assert.rejects(impatient.run((q, d, signal) => {
+        stale = q.select({ message: 'Env:', choices, signal });
+        return stale;
+    }), /did not settle/);
+    if (typeof AbortController === 'function') { // No signal to cancel it with otherwise
+        await assert.rejects(stale, cancelled('abort'));
+    }
+    const reused = await impatient.run((q) => q.input({ message: 'Host:' }), ['db', 'enter']);
+    assert.strictEqual(reused.answer, 'db');
+    assert.strictEqual(impatient.stdin.listenerCount('keypress'), 0);
+    console.log('✅ timeouts');
+
+    process.env.QUIZ_TEST_TEAM_SIZE = '4';
+    const unattended = new Questioner({
+        nonInteractive: true,
+        envPrefix: 'QUIZ_TEST_',
+        answers: {
+            projectName: 'demo',
+            type: 'cli',
+            technologies: 'node, express',
+            coverage: '80',
+            survey: { Fun: 'Yes', Useful: 1 }
+        }
+    });
+    const answers = await unattended.form({
+        fields: [
+            { name: 'projectName', type: 'input', validate: (v) => /^[a-z-]+$/.test(v) || 'Lowercase only' },
+            { name: 'type', type: 'select', choices: [{ name: 'CLI Tool', value: 'cli' }, { name: 'Web', value: 'web' }] },
+            { name: 'technologies', type: 'multiselect', choices: [{ name: 'Node', value: 'node' }, { name: 'Express', value: 'express' }] },
+            { name: 'teamSize', type: 'number', min: 1, max: 50 },
+            { name: 'openSource', type: 'confirm', default: false },
+            { name: 'launch', type: 'date', default: '2026-06-01', output: 'iso' },
+            { name: 'coverage', type: 'slider', max: 100, step: 5, unit: '%' },
+            { name: 'morale', type: 'rating', default: 4 },
+            { name: 'survey', type: 'likert', statements: ['Fun', 'Useful'], scale: ['No', 'Yes'] }
+        ]
+    });
+    assert.deepStrictEqual(answers, {
+        projectName: 'demo',
+        type: 'cli',
+        technologies: ['node', 'express'],
+        teamSize: 4,
+        openSource: false,
+        launch: '2026-06-01',
+        coverage: 80,
+        morale: 4,
+        survey: { Fun: 2, Useful: 1 }
+    });
+    await assert.rejects(unattended.input({ name: 'missing' }), MissingAnswerError);
+    await assert.rejects(unattended.number({ name: 'projectName' }), InvalidAnswerError);
+    assert.deepStrictEqual(await unattended.sort({ name: 'order', choices: steps, default: 'deploy, backup, migrate, notify' }),
+        ['deploy', 'backup', 'migrate', 'notify']);
+    await assert.rejects(unattended.sort({ name: 'order', choices: steps, default: ['deploy'] }), InvalidAnswerError);
+    assert.strictEqual(await unattended.expand({ name: 'hunk', choices: hunkActions, default: 'y' }), 'stage');
+    assert.strictEqual(await unattended.input({ name: 'phone', mask: '(999) 999-9999', default: '5551234567' }), '(555) 123-4567');
+    await assert.rejects(unattended.input({ name: 'phone', mask: '(\\9)-', default: '' }), /has no slots/);
+    await assert.rejects(unattended.input({ name: 'ip', mask: 'ipv4', default: '10.0' }), InvalidAnswerError);
+    const nested = new Questioner({ nonInteractive: true, answers: { team: 'data', database: { engine: 'postgres' } } });
+    assert.deepStrictEqual(await nested.form({ fields: onboardingFields }),
+        { team: 'data', useDatabase: true, database: { engine: 'postgres', host: 'localhost' } });
+    assert.strictEqual(await unattended.toggle({ name: 'telemetry', default: true }), true);
+    await assert.rejects(unattended.date({ name: 'launch', default: '2026-06-01', max: '2026-05-01' }), InvalidAnswerError);
+    console.log('✅ non-interactive answers');
+
+    console.log('\n✅ All headless tests passed!');
+}
+
 if (require.main === module) {
-    quickTest().then(() => process.exit(0));
+    const headless = process.argv.includes('--headless') || !process.stdin.isTTY;
+
+    if (headless) {
+        headlessTest().then(() => process.exit(0), (error) => {
+            console.error('❌ Test failed:', error.message);
+            if (error.frames) console.error(error.frames[error.frames.length - 1]);
+            console.error(error.stack);
+            process.exit(1);
+        });
+    } else {
+        quickTest().then(() => process.exit(0));
+    }
 }
 
 module.exports = quickTest;
+module.exports.headlessTest = headlessTest;
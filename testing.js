@@ -0,0 +1,395 @@
+/**
+ * TestDriver
+ *
+ * Headless harness for driving prompts and tables with scripted keystrokes.
+ * The driver owns a pair of fake TTY streams and a small virtual screen that
+ * interprets the ANSI sequences prompts emit, so every step can be captured
+ * as a plain-text frame and asserted on.
+ */
+const readline = require('readline');
+const { PassThrough, Writable } = require('stream');
+const Questioner = require('./questioner');
+const Table = require('./UI/table');
+
+// Escape sequences for named keys. Anything not listed here is typed as text.
+const KEYS = {
+    up: '\x1b[A',
+    down: '\x1b[B',
+    right: '\x1b[C',
+    left: '\x1b[D',
+    'shift+up': '\x1b[1;2A',
+    'shift+down': '\x1b[1;2B',
+    'shift+right': '\x1b[1;2C',
+    'shift+left': '\x1b[1;2D',
+    home: '\x1b[H',
+    end: '\x1b[F',
+    pageup: '\x1b[5~',
+    pagedown: '\x1b[6~',
+    delete: '\x1b[3~',
+    enter: '\r',
+    return: '\r',
+    space: ' ',
+    tab: '\t',
+    'shift+tab': '\x1b[Z',
+    backspace: '\x7f',
+    escape: '\x1b'
+};
+
+// Register ctrl+a … ctrl+z
+for (let code = 1; code <= 26; code++) {
+    KEYS['ctrl+' + String.fromCharCode(code + 96)] = String.fromCharCode(code);
+}
+
+// Keep the lone-Escape detection short so scripted Escape presses settle quickly
+const ESCAPE_CODE_TIMEOUT = 10;
+
+/**
+ * Minimal terminal emulator. Understands the cursor movement, erase and SGR
+ * sequences used by readline, Questioner and InteractiveTable.
+ * @private
+ */
+class VirtualScreen {
+    constructor(columns, rows) {
+        this.columns = columns;
+        this.rows = rows;
+        this.lines = [[]];
+        this.top = 0;
+        this.row = 0;
+        this.col = 0;
+        this.saved = { row: 0, col: 0 };
+    }
+
+    write(data) {
+        const text = String(data);
+        let i = 0;
+
+        while (i < text.length) {
+            const ch = text[i];
+
+            if (ch === '\x1b') {
+                i = this.escape(text, i);
+                continue;
+            }
+
+            if (ch === '\n') {
+                this.lineFeed();
+                this.col = 0;
+            } else if (ch === '\r') {
+                this.col = 0;
+            } else if (ch === '\b') {
+                this.col = Math.max(0, this.col - 1);
+            } else if (ch === '\t') {
+                this.col = Math.min(this.columns - 1, (Math.floor(this.col / 8) + 1) * 8);
+            } else if (ch >= ' ') {
+                this.put(ch);
+            }
+            i++;
+        }
+    }
+
+    escape(text, start) {
+        const next = text[start + 1];
+
+        if (next === '[') {
+            const match = /^\x1b\[([?0-9;]*)([@-~])/.exec(text.slice(start));
+            if (!match) return start + 2;
+            this.csi(match[1], match[2]);
+            return start + match[0].length;
+        }
+
+        if (next === '7') this.saved = { row: this.row, col: this.col };
+        if (next === '8') this.restore();
+        return start + 2;
+    }
+
+    csi(params, command) {
+        const args = params.replace('?', '').split(';').map(n => parseInt(n, 10));
+        const n = args[0] || 1;
+
+        switch (command) {
+            case 'A': this.row = Math.max(this.top, this.row - n); break;
+            case 'B': this.row = Math.min(this.top + this.rows - 1, this.row + n); this.ensureLine(); break;
+            case 'C': this.col = Math.min(this.columns - 1, this.col + n); break;
+            case 'D': this.col = Math.max(0, this.col - n); break;
+            case 'G': this.col = Math.min(this.columns - 1, n - 1); break;
+            case 'H':
+            case 'f':
+                this.row = this.top + (args[0] || 1) - 1;
+                this.col = (args[1] || 1) - 1;
+                this.ensureLine();
+                break;
+            case 'J': this.eraseDisplay(args[0] || 0); break;
+            case 'K': this.eraseLine(args[0] || 0); break;
+            case 's': this.saved = { row: this.row, col: this.col }; break;
+            case 'u': this.restore(); break;
+            default:
+                // SGR colours, cursor visibility and friends do not affect text
+                break;
+        }
+    }
+
+    put(ch) {
+        if (this.col >= this.columns) {
+            this.lineFeed();
+            this.col = 0;
+        }
+        const line = this.lines[this.row];
+        while (line.length < this.col) line.push(' ');
+        line[this.col] = ch;
+        this.col++;
+    }
+
+    lineFeed() {
+        this.row++;
+        this.ensureLine();
+        if (this.row >= this.top + this.rows) {
+            this.top = this.row - this.rows + 1;
+        }
+    }
+
+    ensureLine() {
+        while (this.lines.length <= this.row) this.lines.push([]);
+    }
+
+    restore() {
+        this.row = this.saved.row;
+        this.col = this.saved.col;
+        this.ensureLine();
+    }
+
+    eraseLine(mode) {
+        const line = this.lines[this.row];
+        if (mode === 0) {
+            line.length = Math.min(line.length, this.col);
+        } else if (mode === 1) {
+            for (let c = 0; c <= this.col && c < line.length; c++) line[c] = ' ';
+        } else {
+            line.length = 0;
+        }
+    }
+
+    eraseDisplay(mode) {
+        if (mode === 0) {
+            this.eraseLine(0);
+            this.lines.length = this.row + 1;
+        } else if (mode === 1) {
+            for (let r = this.top; r < this.row; r++) this.lines[r].length = 0;
+            this.eraseLine(1);
+        } else {
+            for (let r = this.top; r < this.lines.length; r++) this.lines[r].length = 0;
+        }
+    }
+
+    /**
+     * Visible screen contents with trailing whitespace and blank lines removed.
+     * @returns {string}
+     */
+    text() {
+        const visible = this.lines
+            .slice(this.top, this.top + this.rows)
+            .map(line => line.join('').replace(/\s+$/, ''));
+
+        while (visible.length && visible[visible.length - 1] === '') {
+            visible.pop();
+        }
+        return visible.join('\n');
+    }
+}
+
+class TestDriver {
+    /**
+     * Create a headless driver with its own virtual terminal.
+     * @param {object} [options]
+     * @param {number} [options.columns=80] - Virtual terminal width.
+     * @param {number} [options.rows=24] - Virtual terminal height.
+     * @param {number} [options.delay=15] - Milliseconds to wait after each step before snapshotting.
+     * @param {number} [options.timeout=2000] - Milliseconds to wait for the prompt to settle after the last step.
+     * @param {object} [options.questioner] - Options for the Questioner passed to run() callbacks.
+     */
+    constructor(options = {}) {
+        this.columns = options.columns || 80;
+        this.rows = options.rows || 24;
+        this.delay = options.delay !== undefined ? options.delay : 15;
+        this.timeout = options.timeout || 2000;
+
+        this.screen = new VirtualScreen(this.columns, this.rows);
+        this.output = '';
+
+        this.stdin = new PassThrough();
+        this.stdin.isTTY = true;
+        this.stdin.isRaw = false;
+        this.stdin.setRawMode = (mode) => {
+            this.stdin.isRaw = mode;
+            return this.stdin;
+        };
+        readline.emitKeypressEvents(this.stdin, { escapeCodeTimeout: ESCAPE_CODE_TIMEOUT });
+
+        this.stdout = new Writable({
+            decodeStrings: false,
+            write: (chunk, encoding, callback) => {
+                const text = String(chunk);
+                this.output += text;
+                this.screen.write(text);
+                callback();
+            }
+        });
+        this.stdout.isTTY = true;
+        this.stdout.columns = this.columns;
+        this.stdout.rows = this.rows;
+
+        this.questioner = this.createQuestioner(options.questioner);
+    }
+
+    /**
+     * Named keys understood by press() and run(), mapped to their escape sequences.
+     * @returns {Object.<string,string>}
+     */
+    static get keys() {
+        return { ...KEYS };
+    }
+
+    /**
+     * Create a Questioner wired to this driver's virtual terminal.
+     * @param {object} [options] - Regular Questioner options.
+     * @returns {Questioner}
+     */
+    createQuestioner(options = {}) {
+        return new Questioner({
+            ...options,
+            stdin: this.stdin,
+            stdout: this.stdout,
+            terminalWidth: this.columns,
+            terminalHeight: this.rows
+        });
+    }
+
+    /**
+     * Create an InteractiveTable wired to this driver's virtual terminal.
+     * @param {object} [options] - Regular InteractiveTable options.
+     * @returns {Table}
+     */
+    createTable(options = {}) {
+        return new Table({
+            ...options,
+            stdin: this.stdin,
+            stdout: this.stdout,
+            terminalWidth: this.columns
+        });
+    }
+
+    /**
+     * Send a single scripted step to the input stream.
+     * A step is a key name (see TestDriver.keys), any other string (typed as
+     * text), `{ text }` to type a string verbatim, or `{ wait }` to pause.
+     * @param {string|{text?:string,wait?:number}} step
+     * @returns {Promise<void>} Resolves once the step has been delivered and rendered.
+     */
+    async press(step) {
+        if (step && typeof step === 'object') {
+            if (step.wait) {
+                await this.sleep(step.wait);
+                return;
+            }
+            this.stdin.write(String(step.text));
+        } else if (Object.prototype.hasOwnProperty.call(KEYS, step)) {
+            this.stdin.write(KEYS[step]);
+            if (step === 'escape') {
+                await this.sleep(ESCAPE_CODE_TIMEOUT);
+            }
+        } else {
+            this.stdin.write(String(step));
+        }
+        await this.sleep(this.delay);
+    }
+
+    /**
+     * Current contents of the virtual screen as plain text.
+     * @returns {string}
+     */
+    snapshot() {
+        return this.screen.text();
+    }
+
+    /**
+     * Run a prompt against a scripted sequence of steps.
+     * frames[0] is the initial render; frames[n] is the screen after step n.
+     * If the prompt rejects, the error is re-thrown with `frames` attached.
+     * If it does not settle in time, the run fails and the driver's input is
+     * detached from whatever is still listening, so the driver can be reused;
+     * where AbortController exists, the callback also gets a signal (pass it
+     * as the prompt's `signal`) that is aborted then.
+     * @param {(questioner:Questioner, driver:TestDriver, signal?:AbortSignal)=>Promise<any>} prompt - Starts the prompt(s) under test.
+     * @param {Array<string|{text?:string,wait?:number}>} [steps=[]]
+     * @returns {Promise<{answer:any, frames:string[], output:string}>}
+     */
+    async run(prompt, steps = []) {
+        const outputStart = this.output.length;
+        const frames = [];
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        let settled = false;
+
+        const pending = Promise.resolve()
+            .then(() => prompt(this.questioner, this, controller ? controller.signal : undefined))
+            .then(
+                answer => ({ answer }),
+                error => ({ error })
+            )
+            .then(result => {
+                settled = true;
+                return result;
+            });
+
+        await this.sleep(this.delay);
+        frames.push(this.snapshot());
+
+        for (const step of steps) {
+            if (settled) break;
+            await this.press(step);
+            frames.push(this.snapshot());
+        }
+
+        let timer;
+        const expired = new Promise(resolve => {
+            timer = setTimeout(() => resolve({
+                error: new Error(`Prompt did not settle after ${steps.length} steps`)
+            }), this.timeout);
+        });
+        const result = await Promise.race([pending, expired]);
+        clearTimeout(timer);
+
+        if (!settled) {
+            this.detach(controller);
+        }
+
+        if (result.error) {
+            result.error.frames = frames;
+            throw result.error;
+        }
+
+        return {
+            answer: result.answer,
+            frames,
+            output: this.output.slice(outputStart)
+        };
+    }
+
+    /**
+     * Cancel a prompt that outlived its run and stop it from reading any
+     * further input: abort its signal, close the readline interface and drop
+     * every keypress listener left on the driver's stdin.
+     * @private
+     */
+    detach(controller) {
+        if (controller) controller.abort();
+        this.questioner.closeReadline();
+        this.stdin.removeAllListeners('keypress');
+        this.stdin.setRawMode(false);
+        this.stdin.pause();
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = TestDriver;